@@ -0,0 +1,616 @@
+/*
+	codecs.js
+	---------
+
+	Codecs for turning messages into what goes over the wire and back, shared by socketRefClient.js & socketRefServer.js:
+	- jsonCodec
+	- binaryCodec
+
+	A codec is { name, binary, encode(msg), decode(data) }, where encode returns a string for text codecs
+	or a Uint8Array for binary ones, and decode takes the same back (binary codecs also get Buffers & ArrayBuffers).
+
+	JSON is always spoken. A client with another codec lists it in the codecs of its hello, and the server
+	says which one it picked in the codec of its answer (see protocol.js). Both hellos are JSON, and JSON
+	text frames are always understood, so clients & servers that only speak JSON just never switch.
+
+	binaryCodec is a compact MessagePack-style format that also keeps types JSON can't:
+	Uint8Array (and the other typed arrays), ArrayBuffer, Date, Map, Set, BigInt and undefined.
+
+	Values we save as text (the client's offline queue, jsonFileStore) stay JSON when JSON can hold them,
+	otherwise they're saved as binaryCodec's bytes in base64, so they come back with the same types:
+	- isPlainJson
+	- encodeBase64
+	- decodeBase64
+*/
+
+/**
+ * The codec every client & server speaks
+ */
+export const jsonCodec = {
+	name: 'json',
+	binary: false,
+	encode: (msg) => JSON.stringify(msg),
+	decode: (data) => JSON.parse(typeof data === 'string' ? data : textDecoder.decode(toBytes(data))),
+};
+
+
+// strings are stored as UTF-8
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// extension types, for the values MessagePack doesn't have
+const EXT_UNDEFINED = 0;
+const EXT_DATE = 1;
+const EXT_BIGINT = 2;
+const EXT_MAP = 3;
+const EXT_SET = 4;
+const EXT_ARRAY_BUFFER = 5;
+
+// typed arrays other than Uint8Array (which is plain binary data) are stored as their bytes, by their ext type
+// (in the platform's byte order, which is little-endian nearly everywhere)
+const typedArrayTypes = [
+	[16, typeof Int8Array !== 'undefined' ? Int8Array : null],
+	[17, typeof Uint8ClampedArray !== 'undefined' ? Uint8ClampedArray : null],
+	[18, typeof Int16Array !== 'undefined' ? Int16Array : null],
+	[19, typeof Uint16Array !== 'undefined' ? Uint16Array : null],
+	[20, typeof Int32Array !== 'undefined' ? Int32Array : null],
+	[21, typeof Uint32Array !== 'undefined' ? Uint32Array : null],
+	[22, typeof Float32Array !== 'undefined' ? Float32Array : null],
+	[23, typeof Float64Array !== 'undefined' ? Float64Array : null],
+	[24, typeof BigInt64Array !== 'undefined' ? BigInt64Array : null],
+	[25, typeof BigUint64Array !== 'undefined' ? BigUint64Array : null],
+].filter(([, type]) => type);
+
+
+/**
+ * A compact binary codec, which keeps typed arrays, Dates, Maps, Sets, BigInts & undefined
+ */
+export const binaryCodec = {
+	name: 'binary',
+	binary: true,
+	encode: (msg) => {
+		const writer = new Writer();
+		writeValue(writer, msg);
+		return writer.finish();
+	},
+	decode: (data) => {
+		const reader = new Reader(toBytes(data));
+		const value = readValue(reader);
+		if (reader.pos !== reader.bytes.length)
+			throw new Error('binaryCodec: extra bytes after the message');
+		return value;
+	},
+};
+
+
+/**
+ * Check if JSON can hold a value without changing it, i.e. it has no Dates, typed arrays, Maps or undefined
+ * 
+ * @param {*} value - The value to check
+ * @returns {Boolean} - true if JSON.parse(JSON.stringify(value)) gives the same value back
+ */
+export function isPlainJson(value) {
+
+	if (value === null || typeof value === 'string' || typeof value === 'boolean')
+		return true;
+
+	if (typeof value === 'number')
+		return Number.isFinite(value);
+
+	if (Array.isArray(value))
+		return value.every(isPlainJson);
+
+	if (typeof value !== 'object')
+		return false;
+
+	const proto = Object.getPrototypeOf(value);
+	return (proto === Object.prototype || proto === null) && Object.values(value).every(isPlainJson);
+}
+
+
+/**
+ * Encode a value with binaryCodec, as base64 text
+ * 
+ * @param {*} value - The value to encode
+ * @returns {String} - The base64 text
+ */
+export function encodeBase64(value) {
+
+	const bytes = binaryCodec.encode(value);
+
+	// (in chunks, so big values don't blow the argument limit)
+	let text = '';
+	for (let i = 0; i < bytes.length; i += 0x8000)
+		text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+	return btoa(text);
+}
+
+
+/**
+ * Decode base64 text from encodeBase64
+ * 
+ * @param {String} text - The base64 text
+ * @returns {*} - The value
+ */
+export function decodeBase64(text) {
+
+	const chars = atob(text);
+	const bytes = new Uint8Array(chars.length);
+	for (let i = 0; i < chars.length; i++)
+		bytes[i] = chars.charCodeAt(i);
+	return binaryCodec.decode(bytes);
+}
+
+
+/**
+ * Get a Uint8Array for binary data, however it came in
+ * 
+ * @param {Uint8Array|ArrayBuffer|Array<Uint8Array>} data - The data (ws can hand us an array of Buffers for fragmented messages)
+ * @returns {Uint8Array} - The bytes
+ */
+function toBytes(data) {
+
+	// (a Buffer is a Uint8Array too, but its slices share memory, so we look at it as a plain one)
+	if (data instanceof Uint8Array)
+		return data.constructor === Uint8Array ? data : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+	if (data instanceof ArrayBuffer)
+		return new Uint8Array(data);
+
+	if (Array.isArray(data)) {
+		const bytes = new Uint8Array(data.reduce((total, chunk) => total + chunk.length, 0));
+		let offset = 0;
+		for (const chunk of data) {
+			bytes.set(chunk, offset);
+			offset += chunk.length;
+		}
+		return bytes;
+	}
+
+	if (ArrayBuffer.isView(data))
+		return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+	throw new Error('binaryCodec: expected binary data');
+}
+
+
+/**
+ * A growable buffer we encode into
+ */
+class Writer {
+
+	constructor() {
+		this.bytes = new Uint8Array(256);
+		this.view = new DataView(this.bytes.buffer);
+		this.pos = 0;
+	}
+
+	/**
+	 * Make sure there's room for more bytes
+	 * 
+	 * @param {Number} size - How many more bytes we need
+	 */
+	ensure(size) {
+
+		if (this.pos + size <= this.bytes.length)
+			return;
+
+		let length = this.bytes.length * 2;
+		while (length < this.pos + size)
+			length *= 2;
+
+		const bytes = new Uint8Array(length);
+		bytes.set(this.bytes.subarray(0, this.pos));
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer);
+	}
+
+	u8(value) { this.ensure(1); this.view.setUint8(this.pos, value); this.pos += 1; }
+	i8(value) { this.ensure(1); this.view.setInt8(this.pos, value); this.pos += 1; }
+	u16(value) { this.ensure(2); this.view.setUint16(this.pos, value); this.pos += 2; }
+	i16(value) { this.ensure(2); this.view.setInt16(this.pos, value); this.pos += 2; }
+	u32(value) { this.ensure(4); this.view.setUint32(this.pos, value); this.pos += 4; }
+	i32(value) { this.ensure(4); this.view.setInt32(this.pos, value); this.pos += 4; }
+	f64(value) { this.ensure(8); this.view.setFloat64(this.pos, value); this.pos += 8; }
+
+	raw(bytes) {
+		this.ensure(bytes.length);
+		this.bytes.set(bytes, this.pos);
+		this.pos += bytes.length;
+	}
+
+	/**
+	 * @returns {Uint8Array} - Just the bytes we wrote
+	 */
+	finish() {
+		return this.bytes.slice(0, this.pos);
+	}
+}
+
+
+/**
+ * Reads values back out of encoded bytes
+ */
+class Reader {
+
+	/**
+	 * @param {Uint8Array} bytes - The encoded bytes
+	 */
+	constructor(bytes) {
+		this.bytes = bytes;
+		this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+		this.pos = 0;
+	}
+
+	/**
+	 * Move past some bytes, making sure they're there
+	 * 
+	 * @param {Number} size - How many bytes
+	 * @returns {Number} - Where they start
+	 */
+	take(size) {
+		if (this.pos + size > this.bytes.length)
+			throw new Error('binaryCodec: message ended early');
+		const start = this.pos;
+		this.pos += size;
+		return start;
+	}
+
+	u8() { return this.view.getUint8(this.take(1)); }
+	i8() { return this.view.getInt8(this.take(1)); }
+	u16() { return this.view.getUint16(this.take(2)); }
+	i16() { return this.view.getInt16(this.take(2)); }
+	u32() { return this.view.getUint32(this.take(4)); }
+	i32() { return this.view.getInt32(this.take(4)); }
+	f64() { return this.view.getFloat64(this.take(8)); }
+
+	raw(size) {
+		const start = this.take(size);
+		return this.bytes.slice(start, start + size);
+	}
+}
+
+
+/**
+ * Write a header for something with a length, using the smallest form that fits
+ * 
+ * @param {Writer} writer - Where to write it
+ * @param {Number} length - The length
+ * @param {Number} fixBase - OPTIONAL; the first byte of the fix form, i.e. 0xa0 for fixstr
+ * @param {Number} fixMax - OPTIONAL; the longest length the fix form can hold
+ * @param {Array<Number>} codes - the 8, 16 & 32 bit forms, null if there's no 8 bit form
+ */
+function writeLength(writer, length, fixBase, fixMax, codes) {
+
+	if (fixBase !== null && length <= fixMax) {
+		writer.u8(fixBase + length);
+	} else if (codes[0] !== null && length <= 0xff) {
+		writer.u8(codes[0]);
+		writer.u8(length);
+	} else if (length <= 0xffff) {
+		writer.u8(codes[1]);
+		writer.u16(length);
+	} else {
+		writer.u8(codes[2]);
+		writer.u32(length);
+	}
+}
+
+
+/**
+ * Write an extension value, whose data is written by a function
+ * 
+ * @param {Writer} writer - Where to write it
+ * @param {Number} type - The extension type
+ * @param {Function} writeData - Writes the extension's data
+ */
+function writeExt(writer, type, writeData) {
+
+	// we don't know the length until we've written it, so leave room for the biggest header & fill it in after
+	writer.u8(0xc9);
+	const lengthPos = writer.pos;
+	writer.u32(0);
+	writer.i8(type);
+
+	const start = writer.pos;
+	writeData();
+	writer.view.setUint32(lengthPos, writer.pos - start);
+}
+
+
+/**
+ * Encode a value
+ * 
+ * @param {Writer} writer - Where to write it
+ * @param {*} value - The value
+ */
+function writeValue(writer, value) {
+
+	if (value === null) {
+		writer.u8(0xc0);
+		return;
+	}
+
+	switch (typeof value) {
+
+		case 'undefined':
+			writeExt(writer, EXT_UNDEFINED, () => {});
+			return;
+
+		case 'boolean':
+			writer.u8(value ? 0xc3 : 0xc2);
+			return;
+
+		case 'number':
+			writeNumber(writer, value);
+			return;
+
+		case 'bigint':
+			writeExt(writer, EXT_BIGINT, () => writer.raw(textEncoder.encode(value.toString())));
+			return;
+
+		case 'string': {
+			const bytes = textEncoder.encode(value);
+			writeLength(writer, bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]);
+			writer.raw(bytes);
+			return;
+		}
+
+		case 'object':
+			writeObject(writer, value);
+			return;
+
+		// functions & symbols don't go over the wire, just like in JSON
+		default:
+			writer.u8(0xc0);
+	}
+}
+
+
+/**
+ * Encode a number, as the smallest integer that holds it or a double
+ * 
+ * @param {Writer} writer - Where to write it
+ * @param {Number} value - The number
+ */
+function writeNumber(writer, value) {
+
+	if (!Number.isInteger(value) || Object.is(value, -0) || value > 0xffffffff || value < -0x80000000) {
+		writer.u8(0xcb);
+		writer.f64(value);
+	} else if (value >= 0 && value <= 0x7f) {
+		writer.u8(value);
+	} else if (value < 0 && value >= -32) {
+		writer.i8(value);
+	} else if (value >= 0) {
+		if (value <= 0xff) { writer.u8(0xcc); writer.u8(value); }
+		else if (value <= 0xffff) { writer.u8(0xcd); writer.u16(value); }
+		else { writer.u8(0xce); writer.u32(value); }
+	} else {
+		if (value >= -0x80) { writer.u8(0xd0); writer.i8(value); }
+		else if (value >= -0x8000) { writer.u8(0xd1); writer.i16(value); }
+		else { writer.u8(0xd2); writer.i32(value); }
+	}
+}
+
+
+/**
+ * Encode an object, array, or one of the special types
+ * 
+ * @param {Writer} writer - Where to write it
+ * @param {Object} value - The value
+ */
+function writeObject(writer, value) {
+
+	if (Array.isArray(value)) {
+		writeLength(writer, value.length, 0x90, 15, [null, 0xdc, 0xdd]);
+		for (const item of value)
+			writeValue(writer, item);
+		return;
+	}
+
+	if (value instanceof Uint8Array) {
+		writeLength(writer, value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+		writer.raw(value);
+		return;
+	}
+
+	if (ArrayBuffer.isView(value)) {
+		const entry = typedArrayTypes.find(([, type]) => value instanceof type);
+		const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+		if (entry)
+			writeExt(writer, entry[0], () => writer.raw(bytes));
+		else
+			writeExt(writer, EXT_ARRAY_BUFFER, () => writer.raw(bytes)); // (i.e. a DataView, which comes back as its buffer)
+		return;
+	}
+
+	if (value instanceof ArrayBuffer) {
+		writeExt(writer, EXT_ARRAY_BUFFER, () => writer.raw(new Uint8Array(value)));
+		return;
+	}
+
+	if (value instanceof Date) {
+		writeExt(writer, EXT_DATE, () => writer.f64(value.getTime()));
+		return;
+	}
+
+	if (value instanceof Map) {
+		writeExt(writer, EXT_MAP, () => {
+			writeLength(writer, value.size * 2, 0x90, 15, [null, 0xdc, 0xdd]);
+			value.forEach((item, key) => {
+				writeValue(writer, key);
+				writeValue(writer, item);
+			});
+		});
+		return;
+	}
+
+	if (value instanceof Set) {
+		writeExt(writer, EXT_SET, () => writeValue(writer, [...value]));
+		return;
+	}
+
+	// like JSON, objects with a toJSON (i.e. from other libraries) are sent as what it returns
+	if (typeof value.toJSON === 'function') {
+		writeValue(writer, value.toJSON());
+		return;
+	}
+
+	const keys = Object.keys(value);
+	writeLength(writer, keys.length, 0x80, 15, [null, 0xde, 0xdf]);
+	for (const key of keys) {
+		writeValue(writer, key);
+		writeValue(writer, value[key]);
+	}
+}
+
+
+/**
+ * Decode a value
+ * 
+ * @param {Reader} reader - Where to read it from
+ * @returns {*} - The value
+ */
+function readValue(reader) {
+
+	const code = reader.u8();
+
+	// the fix forms carry their value or length in the code itself
+	if (code <= 0x7f)
+		return code;
+	if (code >= 0xe0)
+		return code - 0x100;
+	if (code >= 0x80 && code <= 0x8f)
+		return readMap(reader, code - 0x80);
+	if (code >= 0x90 && code <= 0x9f)
+		return readArray(reader, code - 0x90);
+	if (code >= 0xa0 && code <= 0xbf)
+		return readString(reader, code - 0xa0);
+
+	switch (code) {
+		case 0xc0: return null;
+		case 0xc2: return false;
+		case 0xc3: return true;
+		case 0xc4: return reader.raw(reader.u8());
+		case 0xc5: return reader.raw(reader.u16());
+		case 0xc6: return reader.raw(reader.u32());
+		case 0xc7: return readExt(reader, reader.u8());
+		case 0xc8: return readExt(reader, reader.u16());
+		case 0xc9: return readExt(reader, reader.u32());
+		case 0xcb: return reader.f64();
+		case 0xcc: return reader.u8();
+		case 0xcd: return reader.u16();
+		case 0xce: return reader.u32();
+		case 0xd0: return reader.i8();
+		case 0xd1: return reader.i16();
+		case 0xd2: return reader.i32();
+		case 0xd9: return readString(reader, reader.u8());
+		case 0xda: return readString(reader, reader.u16());
+		case 0xdb: return readString(reader, reader.u32());
+		case 0xdc: return readArray(reader, reader.u16());
+		case 0xdd: return readArray(reader, reader.u32());
+		case 0xde: return readMap(reader, reader.u16());
+		case 0xdf: return readMap(reader, reader.u32());
+	}
+
+	throw new Error(`binaryCodec: unknown type 0x${code.toString(16)}`);
+}
+
+
+/**
+ * @param {Reader} reader - Where to read it from
+ * @param {Number} length - How many bytes long it is
+ * @returns {String} - The string
+ */
+function readString(reader, length) {
+	const start = reader.take(length);
+	return textDecoder.decode(reader.bytes.subarray(start, start + length));
+}
+
+
+/**
+ * @param {Reader} reader - Where to read it from
+ * @param {Number} length - How many items it has
+ * @returns {Array} - The array
+ */
+function readArray(reader, length) {
+	const items = new Array(length);
+	for (let i = 0; i < length; i++)
+		items[i] = readValue(reader);
+	return items;
+}
+
+
+/**
+ * @param {Reader} reader - Where to read it from
+ * @param {Number} length - How many keys it has
+ * @returns {Object} - The object
+ */
+function readMap(reader, length) {
+	const obj = {};
+	for (let i = 0; i < length; i++) {
+		const key = readValue(reader);
+
+		// (so a key like __proto__ is just a key)
+		Object.defineProperty(obj, String(key), { value: readValue(reader), writable: true, enumerable: true, configurable: true });
+	}
+	return obj;
+}
+
+
+/**
+ * Decode an extension value
+ * 
+ * @param {Reader} reader - Where to read it from
+ * @param {Number} length - How many bytes of data it has
+ * @returns {*} - The value
+ */
+function readExt(reader, length) {
+
+	const type = reader.i8();
+	const end = reader.pos + length;
+
+	let value;
+	switch (type) {
+
+		case EXT_UNDEFINED:
+			value = undefined;
+			break;
+
+		case EXT_DATE:
+			value = new Date(reader.f64());
+			break;
+
+		case EXT_BIGINT:
+			value = BigInt(readString(reader, length));
+			break;
+
+		case EXT_MAP: {
+			const items = readValue(reader);
+			value = new Map();
+			for (let i = 0; i < items.length; i += 2)
+				value.set(items[i], items[i + 1]);
+			break;
+		}
+
+		case EXT_SET:
+			value = new Set(readValue(reader));
+			break;
+
+		case EXT_ARRAY_BUFFER:
+			value = reader.raw(length).buffer;
+			break;
+
+		default: {
+			const entry = typedArrayTypes.find(([id]) => id === type);
+			if (!entry)
+				throw new Error(`binaryCodec: unknown extension type ${type}`);
+			value = new entry[1](reader.raw(length).buffer);
+		}
+	}
+
+	if (reader.pos !== end)
+		throw new Error(`binaryCodec: bad length for extension type ${type}`);
+	return value;
+}
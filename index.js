@@ -5,20 +5,50 @@
 	Just re-exports the functions from the other files.
 */
 import { 
-	setGlobalSocketRefPort, enableConnectionLogs,
+	setGlobalSocketRefPort, setGlobalSocketRefUrl, enableConnectionLogs,
+	setGlobalSocketRefReconnectPolicy, reconnectSocketRefs,
+	setGlobalSocketRefRateLimit, onSocketRefRateLimit,
+	setGlobalSocketRefCodec,
 	socketRef, socketShallowRef,
 	socketRefReadOnly, socketShallowRefReadOnly,
-	socketRefAsync, socketShallowRefAsync
+	socketRefAsync, socketShallowRefAsync,
+	socketRefCollection,
+	useSocketPresence, setSocketPresence,
+	socketEvent, callSocket,
+	setSocketRef, deleteSocketRef, disposeSocketRef, getSocketRefWriteStatus,
+	useSocketRefHistory,
+	getSocketRefStatus, useSocketRefStatus,
+	setSocketRefOfflineStorage, onSocketRefConflict
  } from "./socketRefClient";
 
+import {
+	memoryOfflineStorage, fileOfflineStorage, indexedDBOfflineStorage
+} from "./offlineStorage";
+
+import {
+	jsonCodec, binaryCodec
+} from "./codecs";
+
 import { 
 	bindRef, bindRefs
 } from "./bindRefs";
 
 export { 
 	bindRef, bindRefs,
-	setGlobalSocketRefPort, enableConnectionLogs,
+	setGlobalSocketRefPort, setGlobalSocketRefUrl, enableConnectionLogs,
+	setGlobalSocketRefReconnectPolicy, reconnectSocketRefs,
+	setGlobalSocketRefRateLimit, onSocketRefRateLimit,
+	setGlobalSocketRefCodec,
 	socketRef, socketShallowRef,
 	socketRefReadOnly, socketShallowRefReadOnly,
-	socketRefAsync, socketShallowRefAsync
+	socketRefAsync, socketShallowRefAsync,
+	socketRefCollection,
+	useSocketPresence, setSocketPresence,
+	socketEvent, callSocket,
+	setSocketRef, deleteSocketRef, disposeSocketRef, getSocketRefWriteStatus,
+	useSocketRefHistory,
+	getSocketRefStatus, useSocketRefStatus,
+	setSocketRefOfflineStorage, onSocketRefConflict,
+	memoryOfflineStorage, fileOfflineStorage, indexedDBOfflineStorage,
+	jsonCodec, binaryCodec
 };
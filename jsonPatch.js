@@ -0,0 +1,235 @@
+/*
+	jsonPatch.js
+	------------
+
+	provides a small JSON-Patch style diff & apply, shared by socketRefClient.js and socketRefServer.js:
+	- diffValues
+	- applyPatch
+
+	Patches are arrays of operations like { op: 'replace', path: '/settings/volume', value: 11 },
+	where op is one of 'add', 'remove' or 'replace' and path is a JSON pointer.
+*/
+
+// path segments that could walk into (or replace) a prototype
+const unsafeSegments = new Set(['__proto__', 'constructor', 'prototype']);
+
+
+/**
+ * Check if a value is something we can diff into, i.e. a plain object or array
+ * 
+ * @param {*} value - the value to check
+ * @returns {Boolean} - true if it's a plain object or array
+ */
+function isContainer(value) {
+
+	if (value === null || typeof value !== 'object')
+		return false;
+
+	if (Array.isArray(value))
+		return true;
+
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+
+/**
+ * Check if two values we can't diff into are the same anyway, i.e. two Dates for the same time
+ * 
+ * These only come up with codecs that keep them (see codecs.js), JSON turns them into strings & objects.
+ * 
+ * @param {*} before - the old value
+ * @param {*} after - the new value
+ * @returns {Boolean} - true if they're the same
+ */
+function sameLeaf(before, after) {
+
+	if (before instanceof Date && after instanceof Date)
+		return before.getTime() === after.getTime();
+
+	if (ArrayBuffer.isView(before) && ArrayBuffer.isView(after)) {
+		if (before.constructor !== after.constructor || before.byteLength !== after.byteLength)
+			return false;
+		const a = new Uint8Array(before.buffer, before.byteOffset, before.byteLength);
+		const b = new Uint8Array(after.buffer, after.byteOffset, after.byteLength);
+		return a.every((byte, i) => byte === b[i]);
+	}
+
+	return false;
+}
+
+
+/**
+ * Escape a key for use as a segment in a JSON pointer
+ * 
+ * @param {String|Number} key - the key to escape
+ * @returns {String} - the escaped key
+ */
+function escapeKey(key) {
+	return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+
+/**
+ * Split a JSON pointer into its unescaped segments
+ * 
+ * @param {String} path - the JSON pointer
+ * @returns {Array<String>} - the segments of the path
+ */
+function parsePath(path) {
+
+	if (path === '')
+		return [];
+
+	if (path[0] !== '/')
+		throw new Error(`Invalid patch path "${path}"`);
+
+	const segments = path.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+	// patches come from clients, so never let them reach into prototypes
+	if (segments.some(segment => unsafeSegments.has(segment)))
+		throw new Error(`Invalid patch path "${path}"`);
+
+	return segments;
+}
+
+
+/**
+ * Recursively diff two values, pushing operations onto ops
+ * 
+ * @param {*} before - the old value
+ * @param {*} after - the new value
+ * @param {String} path - the JSON pointer for where we are in the value
+ * @param {Array<Object>} ops - the list of operations we're building
+ */
+function diffInto(before, after, path, ops) {
+
+	if (Object.is(before, after) || sameLeaf(before, after))
+		return;
+
+	// if either side isn't something we can walk into (or they're different kinds), just replace it
+	if (!isContainer(before) || !isContainer(after) || Array.isArray(before) !== Array.isArray(after)) {
+		ops.push({ op: 'replace', path, value: after });
+		return;
+	}
+
+	if (Array.isArray(before)) {
+
+		// diff the items both arrays have, then add or remove the tail
+		const shared = Math.min(before.length, after.length);
+		for (let i = 0; i < shared; i++)
+			diffInto(before[i], after[i], `${path}/${i}`, ops);
+
+		for (let i = shared; i < after.length; i++)
+			ops.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+
+		// remove from the end, so the indices stay valid as we go
+		for (let i = before.length - 1; i >= after.length; i--)
+			ops.push({ op: 'remove', path: `${path}/${i}` });
+
+		return;
+	}
+
+	// patches can't point at keys like constructor (see parsePath), so objects with them are sent whole
+	if (Object.keys(before).some(key => unsafeSegments.has(key)) || Object.keys(after).some(key => unsafeSegments.has(key))) {
+		ops.push({ op: 'replace', path, value: after });
+		return;
+	}
+
+	for (const key of Object.keys(before)) {
+		const keyPath = `${path}/${escapeKey(key)}`;
+		if (Object.prototype.hasOwnProperty.call(after, key))
+			diffInto(before[key], after[key], keyPath, ops);
+		else
+			ops.push({ op: 'remove', path: keyPath });
+	}
+
+	for (const key of Object.keys(after)) {
+		if (!Object.prototype.hasOwnProperty.call(before, key))
+			ops.push({ op: 'add', path: `${path}/${escapeKey(key)}`, value: after[key] });
+	}
+}
+
+
+/**
+ * Compute the list of patch operations that turn one value into another
+ * 
+ * @param {*} before - the old value
+ * @param {*} after - the new value
+ * @returns {Array<Object>} - the patch operations, empty if the values are the same
+ */
+export function diffValues(before, after) {
+
+	const ops = [];
+	diffInto(before, after, '', ops);
+	return ops;
+}
+
+
+/**
+ * Apply patch operations to a value
+ * 
+ * NOTE: objects & arrays are changed in place. If an operation replaces the root
+ * a new value is returned, so always use the return value.
+ * 
+ * @param {*} target - the value to patch
+ * @param {Array<Object>} ops - the patch operations to apply
+ * @returns {*} - the patched value
+ */
+export function applyPatch(target, ops) {
+
+	for (const { op, path, value } of ops) {
+
+		const segments = parsePath(path);
+
+		// operations on the root just swap the whole value
+		if (segments.length === 0) {
+			target = (op === 'remove') ? null : value;
+			continue;
+		}
+
+		// walk down to the parent of the thing we're changing
+		let parent = target;
+		for (const segment of segments.slice(0, -1)) {
+			if (!isContainer(parent) || !Object.prototype.hasOwnProperty.call(parent, segment))
+				throw new Error(`Invalid patch path "${path}"`);
+			parent = parent[segment];
+		}
+
+		if (!isContainer(parent))
+			throw new Error(`Invalid patch path "${path}"`);
+
+		const last = segments[segments.length - 1];
+
+		// arrays shift their items around on add & remove
+		if (Array.isArray(parent)) {
+
+			// only add can point one past the end
+			const index = (last === '-') ? parent.length : Number(last);
+			const maxIndex = (op === 'add') ? parent.length : parent.length - 1;
+			if (!Number.isInteger(index) || index < 0 || index > maxIndex)
+				throw new Error(`Invalid patch path "${path}"`);
+
+			if (op === 'add')
+				parent.splice(index, 0, value);
+			else if (op === 'remove')
+				parent.splice(index, 1);
+			else if (op === 'replace')
+				parent[index] = value;
+			else
+				throw new Error(`Unknown patch op "${op}"`);
+
+			continue;
+		}
+
+		if (op === 'add' || op === 'replace')
+			parent[last] = value;
+		else if (op === 'remove')
+			delete parent[last];
+		else
+			throw new Error(`Unknown patch op "${op}"`);
+
+	}// next op
+
+	return target;
+}
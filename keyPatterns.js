@@ -0,0 +1,159 @@
+/*
+	keyPatterns.js
+	--------------
+
+	provides key patterns, shared by socketRefClient.js and socketRefServer.js:
+	- matchKey
+	- findByKey
+	- isValidPattern
+
+	Keys are split into segments on dots, like 'sliders.volume'. In a pattern, * matches one
+	whole segment and ** matches any number of segments, so 'sliders.*' matches 'sliders.volume'
+	and 'users.**' matches 'users.42.name'. A RegExp can be used as a pattern too.
+
+	Clients send patterns for the server to match against its keys, so matching never uses a regex
+	(which can take exponentially long on patterns like 'a*a*a*a*b'), and isValidPattern caps their size.
+*/
+
+// limits for patterns, since clients send them & we check them against every key
+export const MAX_PATTERN_LENGTH = 256;
+export const MAX_PATTERN_WILDCARDS = 16;
+
+// the token for a ** that may match no segments at all
+const anySegments = Symbol('**');
+
+
+/**
+ * Check if a pattern is short & simple enough to accept from a client
+ * 
+ * @param {String} pattern - the key pattern
+ * @returns {Boolean} - true if it's a string within MAX_PATTERN_LENGTH & MAX_PATTERN_WILDCARDS
+ */
+export function isValidPattern(pattern) {
+
+	if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > MAX_PATTERN_LENGTH)
+		return false;
+
+	let wildcards = 0;
+	for (const char of pattern) {
+		if (char === '*')
+			wildcards++;
+	}
+	return wildcards <= MAX_PATTERN_WILDCARDS;
+}
+
+
+/**
+ * Match a list of items against a list of tokens, where star tokens match any run of items
+ * 
+ * This is the usual glob walk: when a token doesn't fit, go back to just after the last star
+ * and let it swallow one more item. It never backtracks further than that, so it's at worst
+ * tokens x items, instead of exponential like a backtracking regex.
+ * 
+ * @param {Array} tokens - the pattern, with isStar(token) true for the stars
+ * @param {Array} items - what we're matching
+ * @param {Function} isStar - (token) => true if the token matches any run of items
+ * @param {Function} matchOne - (token, item) => true if a token that isn't a star matches one item
+ * @returns {Boolean} - true if every item is matched
+ */
+function globMatch(tokens, items, isStar, matchOne) {
+
+	let t = 0;
+	let i = 0;
+	let starToken = -1;
+	let starItem = 0;
+
+	while (i < items.length) {
+		if (t < tokens.length && isStar(tokens[t])) {
+			starToken = t++;
+			starItem = i;
+		} else if (t < tokens.length && matchOne(tokens[t], items[i])) {
+			t++;
+			i++;
+		} else if (starToken !== -1) {
+			t = starToken + 1;
+			i = ++starItem;
+		} else {
+			return false;
+		}
+	}
+
+	// anything left in the pattern has to be stars
+	while (t < tokens.length && isStar(tokens[t]))
+		t++;
+	return t === tokens.length;
+}
+
+
+/**
+ * Check if one segment of a key matches one segment of a pattern, where * matches any characters
+ * 
+ * @param {String} patternSegment - the pattern's segment, i.e. 'vol*'
+ * @param {String} keySegment - the key's segment, i.e. 'volume'
+ * @returns {Boolean} - true if it matches
+ */
+function matchSegment(patternSegment, keySegment) {
+
+	if (!patternSegment.includes('*'))
+		return patternSegment === keySegment;
+
+	return globMatch([...patternSegment], [...keySegment], (char) => char === '*', (char, keyChar) => char === keyChar);
+}
+
+
+/**
+ * Check if a key matches a pattern
+ * 
+ * @param {String|RegExp} pattern - the key pattern
+ * @param {String} key - the key to check
+ * @returns {Boolean} - true if the key matches
+ */
+export function matchKey(pattern, key) {
+
+	if (pattern instanceof RegExp)
+		return pattern.test(key);
+
+	// no wildcards, so it has to be the exact key
+	if (!pattern.includes('*'))
+		return pattern === key;
+
+	// ** matches one or more segments, except at the end where it can match none too, so 'users.**' matches 'users'.
+	// that's a single segment then any run of them, or just the run at the end
+	const segments = pattern.split('.');
+	const tokens = [];
+	segments.forEach((segment, index) => {
+		if (segment !== '**')
+			tokens.push(segment);
+		else if (index === segments.length - 1)
+			tokens.push(anySegments);
+		else
+			tokens.push('*', anySegments);
+	});
+
+	return globMatch(tokens, key.split('.'), (token) => token === anySegments, matchSegment);
+}
+
+
+/**
+ * Find the entry for a key in an object or Map keyed by key patterns
+ * 
+ * An exact key wins, otherwise the first pattern that matches.
+ * 
+ * @param {Object|Map} patterns - the entries, by key pattern
+ * @param {String} key - the key to look up
+ * @returns {*} - the entry, or undefined if nothing matches
+ */
+export function findByKey(patterns, key) {
+
+	if (!patterns)
+		return undefined;
+
+	const entries = (patterns instanceof Map) ? [...patterns] : Object.entries(patterns);
+
+	const exact = entries.find(([pattern]) => pattern === key);
+	if (exact)
+		return exact[1];
+
+	const match = entries.find(([pattern]) => matchKey(pattern, key));
+	return match ? match[1] : undefined;
+}
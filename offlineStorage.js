@@ -0,0 +1,181 @@
+/*
+	offlineStorage.js
+	-----------------
+
+	provides storage for socketRef's offline write queue, so edits made while disconnected survive a reload:
+	- memoryOfflineStorage
+	- fileOfflineStorage
+	- indexedDBOfflineStorage
+	- defaultOfflineStorage
+
+	Storage uses the same shape as the browser's localStorage, so localStorage itself works too:
+	- getItem(key) - returns the saved string, or null
+	- setItem(key, value) - saves a string
+	- removeItem(key) - forgets a key
+
+	Any of these may return a Promise instead.
+*/
+
+// storage shared by every ref that asks for the default when there's no localStorage
+let sharedMemoryStorage = null;
+
+/**
+ * Creates a storage that just keeps items in memory
+ * 
+ * This doesn't survive a reload, but keeps the offline queue working in Node or tests.
+ * 
+ * @returns {Object} - the storage
+ */
+export function memoryOfflineStorage() {
+
+	const items = new Map();
+
+	return {
+		getItem: (key) => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => { items.set(key, String(value)); },
+		removeItem: (key) => { items.delete(key); },
+	};
+}
+
+
+/**
+ * Creates a storage that keeps items in a JSON file, for running refs in Node
+ * 
+ * fs is only loaded the first time the storage is used, so bundling this module for browsers is fine.
+ * 
+ * @param {String} filePath - path to the JSON file
+ * @returns {Object} - the storage, whose methods all return Promises
+ */
+export function fileOfflineStorage(filePath) {
+
+	let itemsPromise = null;
+	let writing = Promise.resolve();
+
+
+	/**
+	 * Read the file the first time we need it
+	 * 
+	 * @returns {Promise<Object>} - the saved items, by key
+	 */
+	function load() {
+
+		if (!itemsPromise) {
+			itemsPromise = import('fs/promises').then(async (fs) => {
+				try {
+					return JSON.parse(await fs.readFile(filePath, 'utf8'));
+				} catch (err) {
+					if (err.code === 'ENOENT')
+						return {};
+					throw err;
+				}
+			});
+		}
+		return itemsPromise;
+	}
+
+
+	/**
+	 * Change the items and write them back, one write at a time
+	 * 
+	 * @param {Function} change - (items) => void
+	 * @returns {Promise} - resolves once the file is written
+	 */
+	function update(change) {
+
+		// (a failed write shouldn't stop the ones after it)
+		writing = writing.catch(() => {}).then(async () => {
+			const items = await load();
+			change(items);
+			const fs = await import('fs/promises');
+			await fs.writeFile(filePath, JSON.stringify(items));
+		});
+		return writing;
+	}
+
+
+	return {
+		getItem: (key) => load().then((items) => key in items ? items[key] : null),
+		setItem: (key, value) => update((items) => { items[key] = String(value); }),
+		removeItem: (key) => update((items) => { delete items[key]; }),
+	};
+}
+
+
+/**
+ * Creates a storage that keeps items in an IndexedDB object store
+ * 
+ * @param {String} dbName - OPTIONAL; name of the database, defaults to 'socket-ref'
+ * @param {String} storeName - OPTIONAL; name of the object store, defaults to 'pending-writes'
+ * @returns {Object} - the storage, whose methods all return Promises
+ */
+export function indexedDBOfflineStorage(dbName = 'socket-ref', storeName = 'pending-writes') {
+
+	let dbPromise = null;
+
+
+	/**
+	 * Open the database the first time we need it
+	 * 
+	 * @returns {Promise<IDBDatabase>} - the database
+	 */
+	function open() {
+
+		if (!dbPromise) {
+			dbPromise = new Promise((resolve, reject) => {
+				const request = indexedDB.open(dbName, 1);
+				request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+				request.onsuccess = () => resolve(request.result);
+				request.onerror = () => reject(request.error);
+			});
+		}
+		return dbPromise;
+	}
+
+
+	/**
+	 * Run a request against the object store in its own transaction
+	 * 
+	 * @param {String} mode - 'readonly' or 'readwrite'
+	 * @param {Function} makeRequest - (objectStore) => IDBRequest
+	 * @returns {Promise} - resolves with the request's result once the transaction completes
+	 */
+	async function run(mode, makeRequest) {
+
+		const db = await open();
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(storeName, mode);
+			const request = makeRequest(transaction.objectStore(storeName));
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+		});
+	}
+
+
+	return {
+		getItem: (key) => run('readonly', (store) => store.get(key)).then((value) => value === undefined ? null : value),
+		setItem: (key, value) => run('readwrite', (store) => store.put(String(value), key)),
+		removeItem: (key) => run('readwrite', (store) => store.delete(key)),
+	};
+}
+
+
+/**
+ * Gets the storage to use when a ref asks for offline mode without saying where
+ * 
+ * That's localStorage in browsers, otherwise one memory storage shared by everything.
+ * 
+ * @returns {Object} - the storage
+ */
+export function defaultOfflineStorage() {
+
+	try {
+		if (typeof localStorage !== 'undefined' && localStorage)
+			return localStorage;
+	} catch (err) {
+		// some browsers throw just for looking at localStorage when it's disabled
+	}
+
+	if (!sharedMemoryStorage)
+		sharedMemoryStorage = memoryOfflineStorage();
+	return sharedMemoryStorage;
+}
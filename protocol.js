@@ -0,0 +1,56 @@
+/*
+	protocol.js
+	-----------
+
+	The version of the wire protocol, shared by socketRefClient.js and socketRefServer.js.
+
+	Right after connecting (and sending its credentials, if it has any) a client says hello:
+		{ type: 'hello', protocol, minProtocol, features, codecs }
+	and the server answers in JSON, before switching to the codec it picked (see codecs.js):
+		{ type: 'hello', protocol, minProtocol, features, codec }
+
+	Each side speaks every version from its minProtocol up to its protocol, and they use the newest
+	one both speak, with just the features both have. If there isn't one, the server sends
+	{ type: 'error', reason: 'incompatible', message } and closes the socket.
+
+	Clients & servers from before the hello are protocol 1: JSON only, whole values, and no acks.
+*/
+
+// the newest version we speak
+export const PROTOCOL_VERSION = 2;
+
+// the oldest version we still speak
+export const MIN_PROTOCOL_VERSION = 1;
+
+// optional parts of the protocol, which are only used if both sides have them:
+// - patches: object values change with patch messages, instead of the whole value
+// - acks: writes are acked or rejected, so clients know what happened to them
+// - codecs: messages can be in a codec other than JSON
+export const FEATURES = ['patches', 'acks', 'codecs'];
+
+
+/**
+ * Work out what two sides of a connection have in common, from the other side's hello
+ * 
+ * @param {Object} hello - The other side's hello message
+ * @returns {Object} - { protocol, features } to use, or { error } with why we can't talk
+ */
+export function negotiate(hello) {
+
+	const theirs = Number(hello.protocol);
+	const theirMin = Number(hello.minProtocol || theirs);
+
+	if (!Number.isInteger(theirs) || theirs < MIN_PROTOCOL_VERSION || theirMin > PROTOCOL_VERSION) {
+		return {
+			error: `Incompatible socket-ref protocol: we speak versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}, `
+				+ `the other side speaks ${Number.isFinite(theirMin) ? theirMin : '?'}-${Number.isFinite(theirs) ? theirs : '?'}. `
+				+ 'Upgrade the older of socketRefClient & socketRefServer.',
+		};
+	}
+
+	const features = Array.isArray(hello.features) ? hello.features : [];
+	return {
+		protocol: Math.min(theirs, PROTOCOL_VERSION),
+		features: new Set(FEATURES.filter((feature) => features.includes(feature))),
+	};
+}
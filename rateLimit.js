@@ -0,0 +1,128 @@
+/*
+	rateLimit.js
+	------------
+
+	Rate limiting strategies, used by the client for each ref's writes and by the server for each connection.
+
+	A limiter is asked about each write as it's made, and says to send it now, hold it for later, or drop it:
+	- throttle: send at most one write every interval ms, holding the rest so the latest is always sent last
+	- debounce: hold writes until there's been none for interval ms, then send the latest
+	- frame: hold writes until the next animation frame, then send the latest
+	- limit: send up to max writes every interval ms, then drop every write for pause ms
+	- none: send everything
+
+	Held writes aren't kept by the limiter, whoever is using it sends the latest value when the delay is up.
+*/
+
+// defaults for each strategy, policies only need to give the settings they want to change
+const strategyDefaults = {
+	throttle: { interval: 10 },
+	debounce: { interval: 100 },
+	frame: {},
+	limit: { max: 100, interval: 1000, pause: 1000 },
+	none: {},
+};
+
+
+/**
+ * Fill in the defaults for a rate limit policy
+ * 
+ * @param {Object|String|null} policy - { strategy, ...settings }, just the strategy name, or null/false for 'none'
+ * @returns {Object} - The complete policy
+ */
+export function normalizeRateLimit(policy) {
+
+	if (!policy)
+		return { strategy: 'none' };
+
+	if (typeof policy === 'string')
+		policy = { strategy: policy };
+
+	const strategy = policy.strategy || 'throttle';
+	if (!(strategy in strategyDefaults))
+		throw new Error(`Unknown rate limit strategy "${strategy}"`);
+
+	return { ...strategyDefaults[strategy], ...policy, strategy };
+}
+
+
+/**
+ * Make a limiter for one stream of writes
+ * 
+ * check(now) returns one of:
+ * - { action: 'send' }
+ * - { action: 'defer', delay } where delay is ms, or 'frame' for the next animation frame
+ * - { action: 'drop', started } where started is true for the first drop since we last let one through
+ * 
+ * Call sent(now) when a held write finally goes out, so throttling counts from then.
+ * 
+ * @param {Object|String|null} policy - The rate limit policy, see normalizeRateLimit
+ * @returns {Object} - { policy, check, sent }
+ */
+export function createRateLimiter(policy) {
+
+	policy = normalizeRateLimit(policy);
+
+	// when we last sent a write, for throttling
+	let lastSent = -Infinity;
+
+	// the current window, for hard limits
+	let windowStart = -Infinity;
+	let count = 0;
+	let pausedUntil = 0;
+	let dropping = false;
+
+	function check(now) {
+
+		switch (policy.strategy) {
+
+			case 'throttle': {
+				const wait = lastSent + policy.interval - now;
+				if (wait > 0)
+					return { action: 'defer', delay: wait };
+				lastSent = now;
+				return { action: 'send' };
+			}
+
+			case 'debounce':
+				return { action: 'defer', delay: policy.interval };
+
+			case 'frame':
+				return { action: 'defer', delay: 'frame' };
+
+			case 'limit': {
+				if (now < pausedUntil)
+					return drop();
+
+				if (now - windowStart >= policy.interval) {
+					windowStart = now;
+					count = 0;
+				}
+
+				count++;
+				if (count > policy.max) {
+					pausedUntil = now + policy.pause;
+					return drop();
+				}
+
+				dropping = false;
+				return { action: 'send' };
+			}
+
+			default:
+				return { action: 'send' };
+		}
+	}
+
+	function drop() {
+		const started = !dropping;
+		dropping = true;
+		return { action: 'drop', started };
+	}
+
+	function sent(now) {
+		lastSent = now;
+	}
+
+	return { policy, check, sent };
+}
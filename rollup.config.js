@@ -9,7 +9,7 @@ export default [
 			format: 'cjs',
 			exports: 'named'
 		},
-		external: ['vue'],
+		external: ['vue', 'fs/promises'],
 		plugins: [resolve(), commonjs()]
 	},
 	{
@@ -19,7 +19,7 @@ export default [
 			format: 'cjs',
 			exports: 'named'
 		},
-		external: ['ws'],
+		external: ['ws', 'fs', 'events'],
 		plugins: [resolve(), commonjs()]
 	}
 ];
@@ -0,0 +1,218 @@
+/*
+	schema.js
+	---------
+
+	provides value validation for synced keys, shared by socketRefClient.js and socketRefServer.js:
+	- validateValue
+
+	A validator is either a small subset of JSON Schema, or a function.
+
+	Schemas support type (or a list of types), enum, const, minimum, maximum, minLength, maxLength,
+	pattern, items, properties, required and additionalProperties. Add coerce: true to a schema to
+	fix values that are close instead of rejecting them: numeric strings become numbers, 'true' and
+	'false' become booleans, numbers & booleans become strings, and numbers are clamped to the
+	minimum & maximum.
+
+	Functions get (value, key, context) and return true to accept the value, false or an error
+	message to reject it, or { value } to accept a coerced value instead. Other falsy results
+	reject the value too.
+*/
+
+/**
+ * Get the JSON Schema type of a value
+ * 
+ * @param {*} value - the value
+ * @returns {String} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+
+	if (value === null)
+		return 'null';
+	if (Array.isArray(value))
+		return 'array';
+	if (typeof value === 'number')
+		return Number.isInteger(value) ? 'integer' : 'number';
+	return typeof value;
+}
+
+
+/**
+ * Check if a value's type is one a schema allows
+ * 
+ * @param {String} actual - the value's type, from typeOf
+ * @param {Array<String>} allowed - the types the schema allows
+ * @returns {Boolean} - true if it's allowed
+ */
+function typeAllowed(actual, allowed) {
+	return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+}
+
+
+/**
+ * Try to turn a value into one of the allowed types
+ * 
+ * @param {*} value - the value
+ * @param {Array<String>} allowed - the types the schema allows
+ * @returns {*} - the converted value, or undefined if it can't be converted
+ */
+function coerceType(value, allowed) {
+
+	for (const type of allowed) {
+
+		if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+			const number = Number(value);
+			if (Number.isFinite(number))
+				return (type === 'integer') ? Math.round(number) : number;
+		}
+
+		if (type === 'integer' && typeof value === 'number' && Number.isFinite(value))
+			return Math.round(value);
+
+		if (type === 'boolean' && (value === 'true' || value === 'false'))
+			return value === 'true';
+
+		if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean'))
+			return String(value);
+	}
+	return undefined;
+}
+
+
+/**
+ * Check a value against a schema, coercing it if the schema allows
+ * 
+ * @param {Object} schema - the schema
+ * @param {*} value - the value to check
+ * @param {String} path - where we are in the value, for error messages
+ * @param {Boolean} coerce - true to fix values that are close
+ * @returns {Object} - { valid, value, error }
+ */
+function checkSchema(schema, value, path, coerce) {
+
+	coerce = coerce || schema.coerce === true;
+	const fail = (message) => ({ valid: false, value, error: `${path || 'value'} ${message}` });
+
+	if (schema.type !== undefined) {
+		const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!typeAllowed(typeOf(value), allowed)) {
+			const coerced = coerce ? coerceType(value, allowed) : undefined;
+			if (coerced === undefined)
+				return fail(`must be ${allowed.join(' or ')}`);
+			value = coerced;
+		}
+	}
+
+	if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const))
+		return fail(`must be ${JSON.stringify(schema.const)}`);
+
+	if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value)))
+		return fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			if (!coerce)
+				return fail(`must be at least ${schema.minimum}`);
+			value = schema.minimum;
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			if (!coerce)
+				return fail(`must be at most ${schema.maximum}`);
+			value = schema.maximum;
+		}
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength)
+			return fail(`must be at least ${schema.minLength} characters`);
+		if (schema.maxLength !== undefined && value.length > schema.maxLength)
+			return fail(`must be at most ${schema.maxLength} characters`);
+		if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+			return fail(`must match ${schema.pattern}`);
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		let items = value;
+		for (let i = 0; i < value.length; i++) {
+			const result = checkSchema(schema.items, value[i], `${path}/${i}`, coerce);
+			if (!result.valid)
+				return result;
+			if (result.value !== value[i]) {
+				if (items === value)
+					items = [...value];
+				items[i] = result.value;
+			}
+		}
+		value = items;
+	}
+
+	if (typeOf(value) === 'object') {
+
+		for (const name of schema.required || []) {
+			if (!(name in value))
+				return fail(`is missing "${name}"`);
+		}
+
+		const properties = schema.properties || {};
+		let object = value;
+		for (const name of Object.keys(value)) {
+
+			if (!(name in properties)) {
+				if (schema.additionalProperties === false)
+					return fail(`has unexpected "${name}"`);
+				continue;
+			}
+
+			const result = checkSchema(properties[name], value[name], `${path}/${name}`, coerce);
+			if (!result.valid)
+				return result;
+			if (result.value !== value[name]) {
+				if (object === value)
+					object = { ...value };
+				object[name] = result.value;
+			}
+		}
+		value = object;
+	}
+
+	return { valid: true, value, error: null };
+}
+
+
+/**
+ * Check a value against a validator, which is a schema or a function
+ * 
+ * The value is never changed in place, a coerced value is a copy.
+ * 
+ * @param {Object|Function} validator - the schema or function
+ * @param {*} value - the value to check
+ * @param {String} key - OPTIONAL; the key the value is for, passed to functions
+ * @param {Object} context - OPTIONAL; who's writing it, passed to functions
+ * @returns {Object} - { valid, value, error }, where value is the (possibly coerced) value to use
+ */
+export function validateValue(validator, value, key, context) {
+
+	if (!validator)
+		return { valid: true, value, error: null };
+
+	if (typeof validator !== 'function')
+		return checkSchema(validator, value, '', false);
+
+	let result;
+	try {
+		result = validator(value, key, context);
+	} catch (err) {
+		return { valid: false, value, error: err.message };
+	}
+
+	if (result === true || result === undefined)
+		return { valid: true, value, error: null };
+	if (typeof result === 'string' && result)
+		return { valid: false, value, error: result };
+	if (result && typeof result === 'object' && 'value' in result)
+		return { valid: true, value: result.value, error: null };
+
+	// anything else falsy (null, 0, '') is a rejection, anything else truthy is a plain yes
+	if (!result)
+		return { valid: false, value, error: 'value is invalid' };
+	return { valid: true, value, error: null };
+}
@@ -5,19 +5,76 @@
 	provides exports for:
 	- socketRef
 	- socketShallowRef
+	- setSocketRef
+	- getSocketRefWriteStatus
+	- getSocketRefStatus
+	- useSocketRefStatus
 
 	Which are similar to ref and shallowRef, but are synced with a server via a WebSocket.
 */
 
 // vue
-import { ref, shallowRef, watch, computed } from 'vue';
+import { ref, shallowRef, watch, computed, triggerRef, reactive, readonly, shallowReactive, getCurrentScope, onScopeDispose, toRaw } from 'vue';
+
+// diffing for sending only the parts of a value that changed
+import { diffValues, applyPatch } from './jsonPatch.js';
+
+// where refs in offline mode keep the writes they couldn't send yet
+import { defaultOfflineStorage } from './offlineStorage.js';
+
+// for checking values before we write them
+import { validateValue } from './schema.js';
+
+// for collections of every key matching a pattern
+import { matchKey, isValidPattern, MAX_PATTERN_LENGTH, MAX_PATTERN_WILDCARDS } from './keyPatterns.js';
+
+// for limiting how often refs write
+import { createRateLimiter, normalizeRateLimit } from './rateLimit.js';
+
+// for encoding messages, JSON unless we & the server agree on something else
+import { jsonCodec, isPlainJson, encodeBase64, decodeBase64 } from './codecs.js';
+
+// for agreeing on a protocol version & features with the server
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FEATURES, negotiate } from './protocol.js';
 
 // well provide a global port here, if sockets don't specific their own port
 let globalPortSetting = 3001;
 
+// or a whole url to connect to, if sockets don't specify their own (null means we work it out, see socketUrl)
+let globalUrlSetting = null;
+
 // setting to show connection for debugging port
 let showConnectionLogs = false;
 
+// storage for refs in offline mode, null means the default for this environment
+let globalOfflineStorage = null;
+
+// marks saved queues that are binaryCodec in base64, instead of JSON (see saveOfflineQueue)
+const offlineBase64Prefix = 'base64:';
+
+// handlers for queued writes that lost to the server's value
+const conflictHandlers = new Set();
+
+// the codec new connections ask the server for, see codecs.js
+let globalCodec = jsonCodec;
+
+// how often refs write, refs can use their own with options.rateLimit
+// (by default, at most one write every 10ms, and the latest value is always sent)
+let globalRateLimit = normalizeRateLimit({ strategy: 'throttle', interval: 10 });
+
+// handlers for when a ref's writes start being limited
+const rateLimitHandlers = new Set();
+
+// how we retry when a connection drops, refs can override any of these with options.reconnect
+let globalReconnectPolicy = {
+	initialDelay: 1000,		// ms to wait before the first retry
+	multiplier: 2,			// each retry waits this many times longer than the last...
+	maxDelay: 30000,		// ...up to this many ms
+	jitter: 0.5,			// randomize each wait by up to this fraction, so clients don't retry in lockstep
+	maxAttempts: Infinity,	// give up after this many retries in a row
+	onGiveUp: null,			// OPTIONAL; called with the url when we give up
+};
+
 /**
  * Sets the global port number to use when sockets don't specify their port number
  * 
@@ -28,6 +85,110 @@ export function setGlobalSocketRefPort(portNumber){
 }
 
 
+/**
+ * Sets the global URL to connect to when sockets don't specify their own, i.e. 'wss://example.com/sync'
+ * 
+ * Sockets can still change parts of it with their protocol, host, ip, port & path options.
+ * Without one, we connect to the page's host (with wss:// on https pages) or localhost, on the global port.
+ * 
+ * @param {String|null} url - The ws://, wss://, http:// or https:// URL (or one relative to the page, i.e. '/sync'), or null to go back to the default
+ */
+export function setGlobalSocketRefUrl(url){
+	globalUrlSetting = url || null;
+}
+
+
+/**
+ * Sets the global reconnect policy, for sockets that don't specify their own
+ * 
+ * Only the settings given are changed, see globalReconnectPolicy for the defaults.
+ * 
+ * @param {Object} policy - { initialDelay, multiplier, maxDelay, jitter, maxAttempts, onGiveUp }
+ */
+export function setGlobalSocketRefReconnectPolicy(policy){
+	globalReconnectPolicy = { ...globalReconnectPolicy, ...policy };
+}
+
+
+/**
+ * Reconnect every dropped socket right away, instead of waiting for its next retry
+ * 
+ * This also revives sockets that gave up. It's called automatically when the browser comes back online.
+ */
+export function reconnectSocketRefs(){
+	for (const connection of connectionMap.values())
+		connection.reconnectNow();
+}
+
+// retry as soon as the browser thinks we're back online
+if (typeof window !== 'undefined' && window.addEventListener)
+	window.addEventListener('online', reconnectSocketRefs);
+
+
+/**
+ * Sets the global rate limit policy, for refs that don't specify their own
+ * 
+ * The strategy is one of 'throttle' (default), 'debounce', 'frame', 'limit' or 'none', see rateLimit.js.
+ * 
+ * @param {Object|String} policy - { strategy, interval, max, pause }, or just the strategy name
+ */
+export function setGlobalSocketRefRateLimit(policy){
+	globalRateLimit = normalizeRateLimit(policy);
+}
+
+
+/**
+ * Listen for refs whose writes start being limited
+ * 
+ * The handler gets { key, strategy, action }, where action is 'coalesced' when writes are being merged
+ * into later ones, or 'dropped' when they're being thrown away. It's called once each time limiting kicks in.
+ * 
+ * @param {Function} handler - Called when a ref starts being limited
+ * @returns {Function} - Call to stop listening
+ */
+export function onSocketRefRateLimit(handler){
+	rateLimitHandlers.add(handler);
+	return () => rateLimitHandlers.delete(handler);
+}
+
+
+/**
+ * Sets the codec new connections ask the server to use, for sockets that don't specify their own
+ * 
+ * i.e. binaryCodec from codecs.js, to sync typed arrays, Dates, Maps, Sets, BigInts & undefined.
+ * If the server doesn't speak it, the connection sticks with JSON.
+ * 
+ * @param {Object} codec - { name, binary, encode, decode }, see codecs.js
+ */
+export function setGlobalSocketRefCodec(codec){
+	globalCodec = codec || jsonCodec;
+}
+
+
+/**
+ * Sets the storage that refs in offline mode use, when they don't specify their own
+ * 
+ * @param {Object} storage - { getItem, setItem, removeItem }, like localStorage. See offlineStorage.js
+ */
+export function setSocketRefOfflineStorage(storage){
+	globalOfflineStorage = storage;
+}
+
+
+/**
+ * Listen for queued offline writes that lose to a newer value on the server
+ * 
+ * The handler gets { key, value, timestamp, serverValue }, where value is the write that lost.
+ * 
+ * @param {Function} handler - Called for each write that lost
+ * @returns {Function} - Call to stop listening
+ */
+export function onSocketRefConflict(handler){
+	conflictHandlers.add(handler);
+	return () => conflictHandlers.delete(handler);
+}
+
+
 /**
  * Enable or disable connection logs for debugging
  * 
@@ -43,10 +204,51 @@ const registry = new FinalizationRegistry(({ socketRefState }) => {
 	if (socketRefState?.cleanup) socketRefState.cleanup();
 });
 
+// lets the helpers below find the SocketRefState behind a ref we returned
+const socketRefStates = new WeakMap(); // ref => SocketRefState
+
+// and the SocketCollectionState behind a collection, so it can be disposed
+const collectionStates = new WeakMap(); // collection => SocketCollectionState
+
+// every SocketRefState that's still subscribed, reactive so the aggregate status can watch it
+const activeStates = shallowReactive(new Set());
+
+// statuses from best to worst, the aggregate status is the worst of all the refs
+const statusOrder = ['synced', 'open', 'connecting', 'reconnecting', 'offline', 'error'];
+
+// the aggregate status, made the first time someone asks for it
+let aggregateStatus = null;
+
 
 /**
  * Get a vue ref that is synced with a server via a WebSocket
  * 
+ * Changes to nested fields are synced too, and only the changed parts are sent to the server.
+ * Pass { key, patches: false } to always send the whole value instead.
+ * 
+ * Pass { key, offline: true } to keep writes made while disconnected across reloads, and send them
+ * all in order when we reconnect. offline can also be a storage to keep them in, see offlineStorage.js.
+ * Pass { key, onConflict } to hear about queued writes that lost to a newer value on the server.
+ * 
+ * Pass { key, room } to sync with just the clients in the same room, which have their own keys.
+ * 
+ * Pass { key, url } to connect somewhere other than the global URL (see setGlobalSocketRefUrl), i.e.
+ * 'wss://example.com/sync' or '/sync' on the page's host, or just change parts of it with { protocol, host, ip, port, path }.
+ * 
+ * Pass { key, validate } with a schema or function (see schema.js) to check values before they're
+ * written. Invalid values are put back and the write is rejected with reason 'invalid'.
+ * 
+ * Pass { key, ttl } with a number of ms to have the server delete the key that long after our last write
+ * (if the server has its own TTL for the key, ours can only be shorter).
+ * 
+ * Pass { key, presence } to tell others on the server about ourselves, see useSocketPresence.
+ * 
+ * Pass { key, codec } to ask the server for a codec other than JSON (see setGlobalSocketRefCodec),
+ * when this ref is the one that opens the connection.
+ * 
+ * Pass { key, rateLimit } to limit how often the ref writes, instead of the global policy
+ * (see setGlobalSocketRefRateLimit), and { key, onRateLimit } to hear when it kicks in.
+ * 
  * @param {String} keyOrObj - The key for the socketRef, or an object with options
  * @param {*} defaultValue - The default value for the socketRef
  * @returns {ref} - A ref that is synced with a server via a WebSocket
@@ -124,6 +326,446 @@ export function socketShallowRefAsync(keyOrObj, defaultValue) {
 }
 
 
+/**
+ * Set the value of a socketRef, and wait for the server to accept it
+ * 
+ * The promise rejects with an Error that has a .reason (i.e. 'stale', 'forbidden', 'invalid', 'rate-limited',
+ * 'superseded' or 'disconnected') and, if the server sent it, the winning .value.
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by socketRef, socketShallowRef or their async versions
+ * @param {*} value - The new value
+ * @returns {Promise} - Resolves once the server has the value
+ */
+export function setSocketRef(socketRef, value) {
+
+	const socketRefState = getSocketRefState(socketRef, 'setSocketRef');
+	if (socketRefState.readyOnly)
+		return Promise.reject(new Error(`SocketRef: "${socketRefState.key}" is read-only`));
+	if (socketRefState.disposed)
+		return Promise.reject(new Error(`SocketRef: "${socketRefState.key}" has been disposed`));
+
+	// setting the value runs our watcher right away, which writes it
+	const lastWriteId = socketRefState.lastWriteId;
+	socketRef.value = value;
+	if (socketRefState.lastWriteId !== lastWriteId)
+		return socketRefState.waitForWrite(socketRefState.lastWriteId);
+
+	// it's the value we already had, so the watcher didn't write anything:
+	// wait on the write that's still carrying it, or we're done if the server already has it
+	if (socketRefState.writeWaiters.has(lastWriteId))
+		return socketRefState.waitForWrite(lastWriteId);
+	if (diffValues(socketRefState.lastSynced, socketRef.value).length === 0)
+		return Promise.resolve();
+
+	// (otherwise the last write of it didn't make it, so send it again)
+	socketRefState.write(socketRef.value);
+	return socketRefState.waitForWrite(socketRefState.lastWriteId);
+}
+
+
+/**
+ * Delete a socketRef's key on the server, so every ref for it goes back to its default value
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by socketRef, socketShallowRef or their async versions
+ * @returns {Promise} - Resolves once the server has deleted it, rejects like setSocketRef if it refuses
+ */
+export function deleteSocketRef(socketRef) {
+
+	const socketRefState = getSocketRefState(socketRef, 'deleteSocketRef');
+	if (socketRefState.readyOnly)
+		return Promise.reject(new Error(`SocketRef: "${socketRefState.key}" is read-only`));
+	if (socketRefState.disposed)
+		return Promise.reject(new Error(`SocketRef: "${socketRefState.key}" has been disposed`));
+
+	return socketRefState.remove();
+}
+
+
+/**
+ * Stop syncing a socketRef (or a socketRefCollection), and let go of its socket
+ * 
+ * The ref keeps its last value, but changes to it aren't sent anymore. The socket closes once
+ * nothing else is using it. Refs made in a component's setup or an effectScope are disposed
+ * automatically when it's torn down, otherwise they're disposed when they're garbage collected.
+ * 
+ * Writes the server hasn't answered yet are rejected with reason 'disposed'.
+ * 
+ * @param {ref|shallowRef|Object} socketRef - A ref made by any of the socketRef functions, or a socketRefCollection
+ */
+export function disposeSocketRef(socketRef) {
+
+	const collectionState = collectionStates.get(socketRef);
+	if (collectionState) {
+		collectionState.cleanup();
+		return;
+	}
+
+	getSocketRefState(socketRef, 'disposeSocketRef').cleanup();
+}
+
+
+/**
+ * Get the reactive status of the last write made through a socketRef
+ * 
+ * The status object has .status, one of 'idle', 'pending', 'saved' or 'rejected',
+ * and a .reason for why the last write was rejected.
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by any of the socketRef functions
+ * @returns {Object} - readonly reactive { status, reason }
+ */
+export function getSocketRefWriteStatus(socketRef) {
+	return readonly(getSocketRefState(socketRef, 'getSocketRefWriteStatus').writeStatus);
+}
+
+
+/**
+ * Get the reactive connection status of a socketRef
+ * 
+ * The status object has:
+ * - status: 'connecting', 'open' (connected, waiting on the server's value), 'synced',
+ *   'reconnecting', 'offline' (gave up, the browser is offline, or the ref was disposed) or 'error' (i.e. refused credentials)
+ * - lastError: { reason, message, at } for the last problem with the connection, or null
+ * - lastSyncAt: when we last heard the server's value, or null
+ * - timeSinceSync: ms since lastSyncAt (only reactive to lastSyncAt, not to the clock)
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by any of the socketRef functions
+ * @returns {Object} - readonly reactive { status, lastError, lastSyncAt, timeSinceSync }
+ */
+export function getSocketRefStatus(socketRef) {
+
+	const socketRefState = getSocketRefState(socketRef, 'getSocketRefStatus');
+	if (!socketRefState.statusView) {
+		const connection = socketRefState.connection;
+		socketRefState.statusView = readonly(reactive({
+			status: computed(() => getStateStatus(socketRefState, connection)),
+			lastError: computed(() => connection ? connection.status.lastError : null),
+			lastSyncAt: computed(() => socketRefState.syncStatus.lastSyncAt),
+			get timeSinceSync() {
+				return this.lastSyncAt === null ? null : Date.now() - this.lastSyncAt;
+			},
+		}));
+	}
+	return socketRefState.statusView;
+}
+
+
+/**
+ * Composable for the combined connection status of every socketRef
+ * 
+ * The status object has:
+ * - status: the worst status of any ref (see getSocketRefStatus), or 'idle' if there are none
+ * - synced: true if every ref is synced
+ * - lastError: the most recent error from any connection, or null
+ * - refCount / syncedCount: how many refs there are, and how many are synced
+ * 
+ * @returns {Object} - readonly reactive { status, synced, lastError, refCount, syncedCount }
+ */
+export function useSocketRefStatus() {
+
+	if (aggregateStatus)
+		return aggregateStatus;
+
+	const statuses = computed(() => [...activeStates].map(state => getStateStatus(state, state.connection)));
+
+	aggregateStatus = readonly(reactive({
+		status: computed(() => statuses.value.reduce(
+			(worst, status) => statusOrder.indexOf(status) > statusOrder.indexOf(worst) ? status : worst,
+			statuses.value.length ? 'synced' : 'idle')),
+		synced: computed(() => statuses.value.every(status => status === 'synced')),
+		lastError: computed(() => {
+			let latest = null;
+			for (const state of activeStates) {
+				const error = state.connection.status.lastError;
+				if (error && (!latest || error.at > latest.at))
+					latest = error;
+			}
+			return latest;
+		}),
+		refCount: computed(() => statuses.value.length),
+		syncedCount: computed(() => statuses.value.filter(status => status === 'synced').length),
+	}));
+	return aggregateStatus;
+}
+
+
+/**
+ * Work out the status of one SocketRefState, from its connection & whether it's synced
+ * 
+ * @param {SocketRefState} socketRefState - The state to check
+ * @param {SocketConnection} connection - The connection it uses (or used, before cleanup)
+ * @returns {String} - The status
+ */
+function getStateStatus(socketRefState, connection) {
+
+	// a disposed ref isn't syncing anymore, whatever its old connection is doing
+	if (socketRefState.syncStatus.disposed || !connection)
+		return 'offline';
+
+	const status = connection.status.status;
+	if (status === 'open' && socketRefState.syncStatus.synced)
+		return 'synced';
+	return status;
+}
+
+
+/**
+ * Find the SocketRefState for a ref we made, throwing if it isn't one of ours
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by any of the socketRef functions
+ * @param {String} caller - Name of the function asking, for the error message
+ * @returns {SocketRefState} - The state syncing the ref
+ */
+function getSocketRefState(socketRef, caller) {
+
+	const socketRefState = socketRefStates.get(socketRef);
+	if (!socketRefState)
+		throw new Error(`${caller}: expected a ref made by socketRef()`);
+	return socketRefState;
+}
+
+
+/**
+ * Call a function the server registered with handle, and get its result
+ * 
+ * Calls go over the same socket as socketRefs on the same server & room, with the same credentials.
+ * If it fails, the promise rejects with an Error that has a .code: 'timeout', 'disconnected',
+ * 'not-found', or whatever code the server's handler threw.
+ * 
+ * @param {String} name - The name the server registered it under
+ * @param {*} args - OPTIONAL; the arguments for it, anything JSON can carry
+ * @param {Object} options - OPTIONAL; { timeout, url, ip, port, path, room, auth, reconnect }, timeout defaults to 10000ms
+ * @returns {Promise} - Resolves with the result
+ */
+export function callSocket(name, args, options = {}) {
+	const timeout = options.timeout || 10000;
+	return connectionFor(options).call(name, args, timeout);
+}
+
+
+/**
+ * Get a channel for one-off events, like toasts or "play a sound", that are sent to everyone listening
+ * 
+ * Events share the socket with socketRefs on the same server & room, but they're never saved.
+ * Anyone who isn't connected when an event is sent just misses it.
+ * 
+ * Our own handlers get the events we emit too, unless we pass { excludeSelf: true }
+ * (to socketEvent, or to a single emit).
+ * 
+ * The channel keeps its connection open until it's disposed, which happens on its own inside a
+ * component or effect scope. Using it again after that opens the connection again.
+ * 
+ * @param {String|Object} nameOrObj - The event name, or an object with options
+ *                                    { name, excludeSelf, url, ip, port, path, room, auth, reconnect }
+ * @returns {Object} - { name, emit(payload, { excludeSelf }), on(handler), off(handler), dispose() }
+ */
+export function socketEvent(nameOrObj) {
+
+	const options = typeof nameOrObj === 'string' ? { name: nameOrObj } : nameOrObj;
+	const name = options.name;
+
+	// the connection we're holding open, and the handlers we've added to it
+	let connection = null;
+	const handlers = new Set();
+
+	// get our connection, opening one if we let the last one go
+	const hold = () => {
+		if (!connection || connection.closed) {
+			connection = connectionFor(options);
+			connection.addChannel(channel);
+		}
+		return connection;
+	};
+
+	const channel = {
+
+		name,
+
+		/**
+		 * Send the event to everyone listening for it
+		 * 
+		 * @param {*} payload - OPTIONAL; anything JSON can carry
+		 * @param {Object} emitOptions - OPTIONAL; { excludeSelf } to override the socketEvent option
+		 * @returns {Boolean} - true if it was sent, false if we're not connected
+		 */
+		emit(payload, emitOptions = {}) {
+
+			const excludeSelf = (emitOptions.excludeSelf !== undefined) ? emitOptions.excludeSelf : !!options.excludeSelf;
+			const connection = hold();
+			if (!connection.send({ type: 'event', name, payload }))
+				return false;
+
+			// the server doesn't send our own events back, so we hand them to our handlers
+			// (copied, so they get their own just like everyone else)
+			if (!excludeSelf)
+				connection.dispatchEvent(name, cloneValue(payload), null);
+			return true;
+		},
+
+		/**
+		 * Call a handler each time the event is sent
+		 * 
+		 * Inside a component or effect scope, the handler is removed when it's disposed.
+		 * 
+		 * @param {Function} handler - (payload, { name, from }) => void, where from is the sender's client id
+		 * @returns {Function} - Call to remove the handler
+		 */
+		on(handler) {
+			hold().addEventHandler(name, handler);
+			handlers.add(handler);
+			const off = () => channel.off(handler);
+			if (getCurrentScope())
+				onScopeDispose(off);
+			return off;
+		},
+
+		/**
+		 * Stop calling a handler
+		 * 
+		 * @param {Function} handler - The handler passed to on
+		 */
+		off(handler) {
+			if (handlers.delete(handler) && connection)
+				connection.removeEventHandler(name, handler);
+		},
+
+		/**
+		 * Remove all our handlers & let go of the connection, closing it if nothing else is using it
+		 */
+		dispose() {
+
+			if (!connection)
+				return;
+
+			for (const handler of handlers)
+				connection.removeEventHandler(name, handler);
+			handlers.clear();
+
+			const released = connection;
+			connection = null;
+			released.removeChannel(channel);
+		},
+	};
+
+	hold();
+	if (getCurrentScope())
+		onScopeDispose(() => channel.dispose());
+
+	return channel;
+}
+
+
+/**
+ * Get undo & redo for a socketRef, using the history the server keeps for its key
+ * 
+ * The server only keeps history if it was started with the history option. Undo & redo are
+ * writes like any other, so every client ends up with the same value.
+ * 
+ * Inside a component or effect scope, we stop getting the history when it's disposed.
+ * 
+ * @param {ref|shallowRef} socketRef - A ref made by any of the socketRef functions
+ * @returns {Object} - { history, index, canUndo, canRedo, undo(), redo() }, where history is a computed list of
+ *                     { value, timestamp, clientId }, index is the current value's place in it, and undo & redo return Promises
+ */
+export function useSocketRefHistory(socketRef) {
+
+	const socketRefState = getSocketRefState(socketRef, 'useSocketRefHistory');
+	socketRefState.watchHistory();
+	if (getCurrentScope())
+		onScopeDispose(() => socketRefState.unwatchHistory());
+
+	const historyState = socketRefState.historyState;
+	return {
+		history: computed(() => historyState.entries),
+		index: computed(() => historyState.index),
+		canUndo: computed(() => historyState.index > 0),
+		canRedo: computed(() => historyState.index >= 0 && historyState.index < historyState.entries.length - 1),
+		undo: () => socketRefState.stepHistory('undo'),
+		redo: () => socketRefState.stepHistory('redo'),
+	};
+}
+
+
+/**
+ * Get a reactive list of who's connected to the server (in our room), and which keys they're watching
+ * 
+ * Each member is { id, presence, keys, self }, where presence is what they told the server about
+ * themselves and self is true for us. Pass a key to only list who's watching it.
+ * 
+ * Inside a component or effect scope, we stop listening when it's disposed.
+ * 
+ * @param {String|Object} keyOrObj - OPTIONAL; a key to filter by, or an object with options
+ *                                   { key, presence, url, ip, port, path, room, auth, reconnect }
+ * @returns {ComputedRef<Array<Object>>} - The members
+ */
+export function useSocketPresence(keyOrObj = {}) {
+
+	const options = typeof keyOrObj === 'string' ? { key: keyOrObj } : keyOrObj;
+	const key = options.key;
+
+	const connection = connectionFor(options);
+	connection.watchPresence();
+	if (getCurrentScope())
+		onScopeDispose(() => connection.unwatchPresence());
+
+	const presenceState = connection.presenceState;
+	return computed(() => presenceState.members
+		.filter((member) => key === undefined || member.keys.includes(key))
+		.map((member) => ({ ...member, self: member.id === presenceState.self })));
+}
+
+
+/**
+ * Set what we tell others on the server about ourselves, i.e. { name, color }
+ * 
+ * Presence belongs to the connection, so it's shared by every socketRef on the same server & room.
+ * This doesn't open a connection itself: if there isn't one yet, the presence is sent once a socketRef,
+ * useSocketPresence or anything else opens it.
+ * 
+ * @param {Object} presence - Fields to change
+ * @param {Object} options - OPTIONAL; which connection, { url, ip, port, path, room, auth, reconnect }
+ */
+export function setSocketPresence(presence, options = {}) {
+
+	const id = connectionId(socketUrl(options), options.auth);
+	const connection = connectionMap.get(id);
+	if (connection && !connection.closed)
+		connection.setPresence(presence);
+	else
+		pendingPresence.set(id, { ...pendingPresence.get(id), ...presence });
+}
+
+
+/**
+ * Get a reactive object with every key on the server that matches a pattern
+ * 
+ * Keys are added & removed as they're created & deleted on the server, so you can list things
+ * without knowing their keys ahead of time. The object is read-only, use socketRefs to write.
+ * 
+ * @param {String|Object} patternOrObj - The key pattern, i.e. 'player.*' (see keyPatterns.js), or an object
+ *                                       with options { pattern, url, ip, port, path, room, auth, reconnect }
+ * @returns {Object} - readonly reactive { key: value } for each matching key
+ */
+export function socketRefCollection(patternOrObj) {
+
+	const options = typeof patternOrObj === 'string' ? { pattern: patternOrObj } : patternOrObj;
+
+	// the server ignores patterns it thinks are too big to match quickly, so say so here instead
+	if (!isValidPattern(options.pattern))
+		throw new Error(`socketRefCollection: patterns must be strings of at most ${MAX_PATTERN_LENGTH} characters & ${MAX_PATTERN_WILDCARDS} wildcards`);
+
+	// like refs, the collection only holds a weak reference to its values, so we can clean up once they're gone
+	const entries = reactive({});
+	const collectionState = new SocketCollectionState(new WeakRef(entries), options.pattern, connectionFor(options));
+
+	const collection = readonly(entries);
+	registry.register(collection, { socketRefState: collectionState }, collectionState);
+	if (getCurrentScope())
+		onScopeDispose(() => collectionState.cleanup());
+	collectionStates.set(collection, collectionState);
+	return collection;
+}
+
+
 /**
  * Create a ref that is synced with a server via a WebSocket
  * 
@@ -141,8 +783,13 @@ function createSocketRef(refType, keyOrObj, initialValue, readyOnly, onInitialCo
 
 	// get options or defaults
 	const key = options.key;
-	const ip = options.ip || 'localhost';
-	const port = options.port || undefined;
+	const patches = options.patches !== false;
+	const offline = options.offline || null;
+	const onConflict = options.onConflict || null;
+	const validate = options.validate || null;
+	const ttl = options.ttl || null;
+	const rateLimit = (options.rateLimit !== undefined) ? options.rateLimit : null;
+	const onRateLimit = options.onRateLimit || null;
 
 	// create the ref that will be synced with the server
 	const state = refType(initialValue);
@@ -153,83 +800,251 @@ function createSocketRef(refType, keyOrObj, initialValue, readyOnly, onInitialCo
 	// the rest of the websocket syncing logic will be handled in the SocketRefState class
 	// we pass in weakState, because the only valid strong reference to the state is the ref itself
 	// that this function returns. This way, we can clean up the state when the ref is no longer used.
-	const socketRefState = new SocketRefState(weakState, key, initialValue, ip, port, readyOnly, onInitialConnect);
+	const connection = connectionFor(options);
+	const offlineStorage = offline ? (offline === true ? (globalOfflineStorage || defaultOfflineStorage()) : offline) : null;
+	const socketRefState = new SocketRefState(weakState, key, initialValue, connection, readyOnly, onInitialConnect, { patches, offlineStorage, onConflict, validate, ttl, rateLimit, onRateLimit });
 
 	// we're going to return state, which is a ref. This means outside code can change it's .value.
 	// thus, we will watch the state ref before we return it, so we can call the socket code to update the server
+	// (regular refs are watched deeply, so changing a nested field syncs just like replacing the value)
+	// (if we're not synced yet, the write is held until we are)
 	socketRefState.stopWatch = watch(state, (newVal, oldValue) => {
 
 		if (socketRefState.isProcessingSocketMessage) return;
 
-		if (socketRefState.ready) {
-			socketRefState.write(newVal);
-		}
-	}, { flush: 'sync' });
+		socketRefState.write(newVal);
+	}, { flush: 'sync', deep: refType === ref });
 
 	// register the state with the finalization registry, so we can clean up when the ref is no longer used
-	registry.register(state, { socketRefState });
+	// (made in a component's setup or an effectScope, we clean up when that goes away instead, see disposeSocketRef)
+	registry.register(state, { socketRefState }, socketRefState);
+	if (getCurrentScope())
+		onScopeDispose(() => socketRefState.cleanup());
 
 	// only return this
 	if(readyOnly){
-		return computed(() => weakState.deref().value);
+		const readOnlyRef = computed(() => weakState.deref().value);
+		socketRefStates.set(readOnlyRef, socketRefState);
+		return readOnlyRef;
 	}
 
 	// return the ref
+	socketRefStates.set(state, socketRefState);
 	return state;
 }
 
 
+// open connections, shared by every socketRef that talks to the same server with the same credentials
+const connectionMap = new Map(); // connection id => SocketConnection
+
+// ids for credential functions, since we can't serialize them into a connection id
+const authFunctionIds = new WeakMap();
+
+// presence set with setSocketPresence while there was no connection, for the next one we open
+const pendingPresence = new Map(); // connection id => presence
+
+
 /**
- * Class to handle the WebSocket syncing for a socketRef
+ * Work out the WebSocket URL for a socketRef's options
+ * 
+ * We start from options.url, the global URL or our default, then swap in any of the
+ * protocol, host (or ip), port & path options. The room goes on the end of the path.
+ * In a browser, relative urls like '/sync' are on the page's host.
+ * 
+ * @param {Object} options - The socketRef options, using url, protocol, host, ip, port, path & room
+ * @returns {String} - The URL, i.e. 'wss://example.com/sync/team-a'
  */
-class SocketRefState {
+function socketUrl(options) {
+
+	const base = (typeof location !== 'undefined' && location.href) ? location.href : undefined;
+	const url = new URL(options.url || globalUrlSetting || defaultSocketUrl(), base);
+
+	// (http urls are fine too, we just want the websocket version)
+	const protocol = (options.protocol || url.protocol).replace(/:$/, '');
+	url.protocol = { http: 'ws', https: 'wss' }[protocol] || protocol;
+
+	if (options.host)
+		url.host = options.host;
+	else if (options.ip)
+		url.hostname = options.ip;
+	if (options.port)
+		url.port = String(options.port);
+	if (options.path)
+		url.pathname = options.path;
+
+	// the room goes in the path, after any path the server is on
+	let path = url.pathname.replace(/\/+$/, '');
+	if (options.room)
+		path += `/${encodeURIComponent(options.room)}`;
+
+	return `${url.protocol}//${url.host}${path}${url.search}`;
+}
 
-	/**
-	 * Create a new SocketRefState
-	 * 
-	 * @param {WeakRef} weakState - WeakRef to the state ref
-	 * @param {String} key - The key used for syncing with the server
-	 * @param {*} defaultValue - The default value for the socketRef
-	 * @param {String} ip - The IP address of the server
-	 * @param {String|Number|null} port - The port of the server - or null if not set
-	 * @param {Boolean} readyOnly - True if the ref is read-only
-	 * @param {Function} onInitialConnect - A callback to run when the socket connects
-	 */
-	constructor(weakState, key, defaultValue, ip, port, readyOnly, onInitialConnect) {
 
-		// store the weakState, key, defaultValue, and timestamp
-		this.weakState = weakState;
-		this.key = key;
-		this.defaultValue = defaultValue;
-		this.readyOnly = readyOnly;
-		this.onInitialConnect = onInitialConnect;
+/**
+ * The URL to connect to when neither the socket nor setGlobalSocketRefUrl gave us one
+ * 
+ * In a browser that's the page's host, with wss:// if the page is on https://, otherwise localhost.
+ * Either way we use the global port.
+ * 
+ * @returns {String} - The URL
+ */
+function defaultSocketUrl() {
 
-		// true if we have a pending write while the socket is not ready
-		this.pendingWrite = null;
+	if (typeof location !== 'undefined' && location.hostname) {
+		const protocol = (location.protocol === 'https:') ? 'wss' : 'ws';
+		const hostname = location.hostname.includes(':') ? `[${location.hostname}]` : location.hostname;
+		return `${protocol}://${hostname}:${globalPortSetting}`;
+	}
 
-		// for writing, we'll need a timestamp
-		this.timestamp = 0;
+	return `ws://localhost:${globalPortSetting}`;
+}
 
-		// Rate limiting
-		this.updatesLastSecond = 0;
-		this.lastRateLimitReset = Date.now();
-		this.rateLimitedUntil = 0;
 
-		// flag to prevent infinite loops when updating from socket
-		this.isProcessingSocketMessage = false;
+/**
+ * Gets the shared connection for a socketRef's options
+ * 
+ * @param {Object} options - The socketRef options, using url, protocol, host, ip, port, path, room, auth, reconnect & codec
+ * @returns {SocketConnection} - The connection
+ */
+function connectionFor(options) {
 
-		// save connection details
-		this.ip = ip;
-		this.port = (port==null || port==undefined) ? undefined : port;
+	const url = socketUrl(options);
 
-		// this will become a function that stops the watchers in the socketRef or socketShallowRef closure
-		// this will be set after construction in said closure. See createSocketRef above.
-		this.stopWatch = null;
+	const connection = getConnection(url, options.auth, options.reconnect || null, options.codec || null);
 
-		// create a flag for when the socket is ready
-		this.ready = false;
+	// what we tell others about ourselves is shared by everything on the connection
+	if (options.presence)
+		connection.setPresence(options.presence);
 
-		// connect to the server
+	return connection;
+}
+
+
+/**
+ * Gets the shared connection for a server URL, opening it if we don't have one yet
+ * 
+ * @param {String} url - The WebSocket URL of the server
+ * @param {*} auth - OPTIONAL; credentials to send the server, or a (possibly async) function that returns them
+ * @param {Object} reconnect - OPTIONAL; reconnect policy settings, used if this opens the connection
+ * @param {Object} codec - OPTIONAL; codec to ask the server for, used if this opens the connection
+ * @returns {SocketConnection} - The connection for the URL
+ */
+function getConnection(url, auth, reconnect, codec) {
+
+	const id = connectionId(url, auth);
+
+	// (a closed connection never reconnects, so never hand one out)
+	let connection = connectionMap.get(id);
+	if (!connection || connection.closed) {
+		connection = new SocketConnection(id, url, auth, reconnect, codec);
+		connectionMap.set(id, connection);
+
+		// presence set while nothing was connected
+		if (pendingPresence.has(id)) {
+			connection.setPresence(pendingPresence.get(id));
+			pendingPresence.delete(id);
+		}
+	}
+	return connection;
+}
+
+
+/**
+ * Get the id for the connection to a server URL with some credentials
+ * 
+ * @param {String} url - The WebSocket URL of the server
+ * @param {*} auth - OPTIONAL; credentials to send the server, or a (possibly async) function that returns them
+ * @returns {String} - The id, refs with different credentials can't share a socket
+ */
+function connectionId(url, auth) {
+
+	let id = url;
+	if (typeof auth === 'function') {
+		if (!authFunctionIds.has(auth))
+			authFunctionIds.set(auth, authFunctionIds.size);
+		id += ` auth#${authFunctionIds.get(auth)}`;
+	} else if (auth !== undefined) {
+		id += ` auth:${JSON.stringify(auth)}`;
+	}
+	return id;
+}
+
+
+/**
+ * Class to handle a single WebSocket that is shared by all the socketRefs for one server URL
+ * 
+ * Messages are routed to the subscribed SocketRefStates by their key, and the socket is
+ * closed once the last subscriber is cleaned up.
+ */
+class SocketConnection {
+
+	/**
+	 * Create a new SocketConnection
+	 * 
+	 * @param {String} id - The id for this connection in connectionMap
+	 * @param {String} url - The WebSocket URL of the server
+	 * @param {*} auth - OPTIONAL; credentials to send the server, or a (possibly async) function that returns them
+	 * @param {Object} reconnect - OPTIONAL; reconnect policy settings to use instead of the global ones
+	 * @param {Object} codec - OPTIONAL; codec to ask the server for instead of the global one
+	 */
+	constructor(id, url, auth, reconnect, codec) {
+
+		// save connection details
+		this.id = id;
+		this.url = url;
+		this.auth = auth;
+		this.reconnect = reconnect;
+
+		// the codec we'd like to use, and the one the server agreed to (we speak JSON until it does)
+		this.codec = codec || globalCodec;
+		this.wireCodec = jsonCodec;
+
+		// the protocol version & features we agreed on with the server, null until it answers our hello
+		// (see protocol.js & supports)
+		this.protocol = null;
+		this.features = null;
+
+		// the SocketRefStates using this connection, by their key
+		this.subscribers = new Map(); // key => Set<SocketRefState>
+
+		// the SocketCollectionStates using this connection
+		this.collections = new Set();
+
+		// the websocket & a timer for when we're waiting to reconnect
+		this.socket = null;
+		this.reconnectTimer = null;
+
+		// how many times in a row we've failed to connect, and if we've stopped trying
+		this.attempts = 0;
+		this.gaveUp = false;
+
+		// true once the socket is open and we've sent our credentials
+		this.handshakeDone = false;
+
+		// reactive status for getSocketRefStatus & useSocketRefStatus
+		this.status = reactive({ status: 'connecting', lastError: null });
+		this.everOpened = false;
+
+		// counter for numbering our writes, so the server can ack them
+		this.lastId = 0;
+
+		// handlers for socketEvents, by event name, and the socketEvents holding us open
+		this.eventHandlers = new Map(); // name => Set<Function>
+		this.channels = new Set();
+
+		// callSocket calls waiting on a result, and the ones waiting to be sent until we're connected
+		this.calls = new Map(); // call id => { msg, resolve, reject, timer, sent }
+
+		// what we tell the server about ourselves, and who else it says is here
+		this.presence = null;
+		this.presenceState = reactive({ self: null, members: [] });
+		this.presenceWatchers = 0;
+
+		// true once the last subscriber is gone, so we stop reconnecting
+		this.closed = false;
+
+		// connect to the server
 		this.connect();
 	}
 
@@ -238,196 +1053,1901 @@ class SocketRefState {
 	 * Connect to the server via WebSocket
 	 */
 	connect() {
-		
-		// convert ip and port to a WebSocket URL
-		const port = this.port || globalPortSetting;
-		this.url = `ws://${this.ip}:${port}`;
 
 		if(showConnectionLogs)
 			console.log('SocketRef: connecting to', this.url);
 
+		// (stay in the error state until we actually get connected)
+		if (this.status.status !== 'error')
+			this.status.status = (this.everOpened || this.attempts > 0) ? 'reconnecting' : 'connecting';
+
 		// create a new websocket with our url
-		this.socket = new WebSocket(this.url);
+		// (binary messages come in as ArrayBuffers, in browsers & node alike)
+		const socket = new WebSocket(this.url);
+		socket.binaryType = 'arraybuffer';
+		this.socket = socket;
 
-		// when we connect send the init message w/ our key
-		this.socket.onopen = () => {
+		// when we connect send our credentials, then the init message for every key we're subscribed to
+		socket.onopen = async () => {
 
 			if(showConnectionLogs)
 				console.log('SocketRef: connected to', this.url);
 
-			// send the init message
-			this.socket.send(JSON.stringify({
-				type: 'init',
-				key: this.key
+			this.attempts = 0;
+
+			// we don't know what this server speaks yet
+			this.wireCodec = jsonCodec;
+			this.protocol = null;
+			this.features = null;
+
+			if (this.auth !== undefined) {
+
+				let credentials;
+				try {
+					credentials = (typeof this.auth === 'function') ? await this.auth() : this.auth;
+				} catch (err) {
+					console.warn('SocketRef: failed to get credentials for', this.url, err);
+					this.setError('credentials', err.message);
+					socket.close();
+					return;
+				}
+
+				// the socket may have closed while we were waiting
+				if (socket !== this.socket || socket.readyState !== WebSocket.OPEN)
+					return;
+				socket.send(this.wireCodec.encode({ type: 'auth', credentials }));
+			}
+
+			// tell the server what we speak (after our credentials, since servers from before the hello
+			// take the first message as the client's credentials)
+			socket.send(jsonCodec.encode({
+				type: 'hello',
+				protocol: PROTOCOL_VERSION,
+				minProtocol: MIN_PROTOCOL_VERSION,
+				features: FEATURES,
+				codecs: [this.codec.name],
 			}));
-		};
 
-		// when this socket receives a message, parse it and update the state
-		this.socket.onmessage = (event) => {
+			this.handshakeDone = true;
+			this.everOpened = true;
+			this.status.status = 'open';
 
-			// parse the message
-			const msg = JSON.parse(event.data);
+			// (presence first, so we show up with our name right away)
+			if (this.presence)
+				this.send({ type: 'presence', state: this.presence });
+			if (this.presenceWatchers > 0)
+				this.send({ type: 'subscribePresence' });
 
-			// if the key doesn't match, ignore the message
-			if (msg.key !== this.key)
+			for (const key of this.subscribers.keys()) {
+				this.send({ type: 'init', key });
+				if (this.historyWanted(key))
+					this.send({ type: 'subscribeHistory', key });
+			}
+			for (const collection of this.collections)
+				this.send({ type: 'subscribePattern', pattern: collection.pattern });
+			for (const name of this.eventHandlers.keys())
+				this.send({ type: 'subscribeEvent', name });
+
+			for (const call of this.calls.values()) {
+				if (!call.sent)
+					call.sent = this.send(call.msg);
+			}
+		};
+
+		// when this socket receives a message, parse it and route it to the refs with its key
+		socket.onmessage = (event) => {
+
+			// parse the message, text is always JSON and anything else is in the codec we agreed on
+			let msg;
+			try {
+				msg = (typeof event.data === 'string') ? jsonCodec.decode(event.data) : this.wireCodec.decode(event.data);
+			} catch (err) {
+				console.warn('SocketRef: could not decode message from', this.url, err);
 				return;
+			}
 
-			// get the vue ref state
-			const state = this.weakState.deref();
-			if (!state)
+			// the server's answer to our hello, which comes before anything else it sends
+			if (msg.type === 'hello') {
+				this.handleHello(msg);
 				return;
+			}
 
-			// start ignoring changes from the socket so we don't loop
-			this.isProcessingSocketMessage = true;
+			// servers from before the hello just don't answer it
+			if (this.features === null) {
+				this.protocol = 1;
+				this.features = new Set();
+			}
 
-			try {
-				// Handle init response, which includes the current value from the server
-				if (msg.type === 'init') {
-
-					const serverTimestamp = msg.timestamp || 0;
-					const serverValue = msg.value;
-
-					const state = this.weakState.deref();
-					if (!state) {
-						// if we have a callback for the initial connect, run it
-						if (this.onInitialConnect)
-							this.onInitialConnect(false);
-						return;
-					}
+			// errors about the connection itself, like bad credentials
+			if (msg.type === 'error') {
+				console.warn(`SocketRef: server error on ${this.url}: ${msg.reason}`);
+				this.setError(msg.reason, msg.message || `Server error: ${msg.reason}`);
+				return;
+			}
 
-					// Compare pending write vs server timestamp
-					if (serverValue === null) {
-
-						// Server has no value for this key
-						if (this.pendingWrite) {
-							state.value = this.pendingWrite.value;
-							this.write(this.pendingWrite.value, this.pendingWrite.timestamp);
-						} else {
-							state.value = this.defaultValue;
-							this.write(this.defaultValue);
-						}
-						this.timestamp = Date.now(); // mark this client as source of truth
-
-					} else {
-
-						// Server has value
-						if (this.pendingWrite && this.pendingWrite.timestamp > serverTimestamp) {
-							state.value = this.pendingWrite.value;
-							this.write(this.pendingWrite.value, this.pendingWrite.timestamp);
-							this.timestamp = this.pendingWrite.timestamp;
-						} else {
-							state.value = serverValue;
-							this.timestamp = serverTimestamp;
-						}
-					}
+			// the answer to one of our calls
+			if (msg.type === 'result') {
+				if (msg.error)
+					this.settleCall(msg.id, null, makeCallError(msg.error.message, msg.error.code));
+				else
+					this.settleCall(msg.id, msg.value, null);
+				return;
+			}
 
-					this.pendingWrite = null; // clear pending write
-					this.ready = true;
+			// an event from someone else
+			if (msg.type === 'event') {
+				this.dispatchEvent(msg.name, msg.payload, msg.from);
+				return;
+			}
 
-					// if we have a callback for the initial connect, run it
-					if (this.onInitialConnect)
-						this.onInitialConnect();
-					return;
+			// who's on the server with us
+			if (msg.type === 'presence') {
+				this.presenceState.self = msg.you;
+				this.presenceState.members = msg.members;
+				return;
+			}
+
+			// everything matching a collection's pattern, in one go
+			if (msg.type === 'snapshot') {
+				for (const collection of [...this.collections]) {
+					if (collection.pattern === msg.pattern)
+						collection.handleMessage(msg);
 				}
+				return;
+			}
 
-				// Normal update
-				if (msg.timestamp <= this.timestamp)
-					return;
+			this.route(msg);
+		};
 
-				// update the timestamp and the state value
-				// because we are updating the vue state, it will be reactive for the user
-				this.timestamp = msg.timestamp;
-				state.value = msg.value;
+		// if the socket closes, try to reconnect
+		socket.onclose = () => {
+
+			// an old socket we already replaced
+			if (socket !== this.socket)
+				return;
+
+			this.handshakeDone = false;
 
-			} finally {
-				this.isProcessingSocketMessage = false;
+			// we don't know who's here until we're back
+			this.presenceState.self = null;
+			this.presenceState.members = [];
+
+			// calls we sent won't be answered now, but ones we haven't sent yet can wait
+			for (const [id, call] of [...this.calls]) {
+				if (call.sent)
+					this.settleCall(id, null, makeCallError(`Disconnected while calling "${call.msg.name}"`, 'disconnected'));
 			}
-		};
 
-		// if the socket closes, try to reconnect
-		this.socket.onclose = () => {
-			this.ready = false;
-			setTimeout(() => this.connect(), 1000);
+			for (const states of this.subscribers.values())
+				for (const state of states)
+					state.handleDisconnect();
+
 			if(showConnectionLogs)
 				console.log('SocketRef: disconnected from', this.url);
+
+			// don't reconnect if we closed it on purpose
+			if (this.closed)
+				return;
+
+			// if the server told us what was wrong we stay in the error state, otherwise say why we're not connected
+			if (this.status.status !== 'error') {
+				const browserOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+				this.status.status = browserOffline ? 'offline' : 'reconnecting';
+			}
+
+			this.scheduleReconnect();
 		};
 
-		// if there's an error, close the socket
-		this.socket.onerror = () => {
-			this.socket.close();
+		// if there's an error, the socket closes on its own right after
+		socket.onerror = () => {
 			if(showConnectionLogs)
 				console.log('SocketRef: error on', this.url);
+
+			// failing to connect isn't an error worth reporting, it just means we're not connected yet
+			if (this.handshakeDone)
+				this.status.lastError = { reason: 'socket', message: `WebSocket error on ${this.url}`, at: Date.now() };
 		};
 	}
 
 
 	/**
-	 * Send value updates to the server
+	 * Wait to reconnect according to our reconnect policy, or give up if we've tried too many times
+	 */
+	scheduleReconnect() {
+
+		const policy = { ...globalReconnectPolicy, ...this.reconnect };
+
+		if (this.attempts >= policy.maxAttempts) {
+			this.gaveUp = true;
+			if (this.status.status !== 'error')
+				this.status.status = 'offline';
+			if(showConnectionLogs)
+				console.log('SocketRef: giving up on', this.url);
+			if (policy.onGiveUp)
+				policy.onGiveUp(this.url);
+			return;
+		}
+
+		// back off exponentially, then randomize it a bit
+		const backoff = Math.min(policy.initialDelay * Math.pow(policy.multiplier, this.attempts), policy.maxDelay);
+		const delay = backoff * (1 - policy.jitter * Math.random());
+		this.attempts++;
+
+		this.reconnectTimer = setTimeout(() => this.connect(), delay);
+	}
+
+
+	/**
+	 * Take the protocol, features & codec the server agreed to in its hello
 	 * 
-	 * @param {*} newValue - The new value to write to the server
+	 * If we can't talk to it at all, we go into the error state and hang up.
+	 * 
+	 * @param {Object} msg - The server's hello message
 	 */
-	write(newValue, forceTimestamp = null) {
+	handleHello(msg) {
 
-		// if this is a read-only ref, don't write
-		if(this.readyOnly)
+		const agreed = negotiate(msg);
+		if (agreed.error) {
+			console.warn(`SocketRef: can't talk to ${this.url}: ${agreed.error}`);
+			this.setError('incompatible', agreed.error);
+			this.socket.close();
 			return;
+		}
 
-		// Rate Limiting Logic
-		const now = Date.now();
-		if (now < this.rateLimitedUntil) {
+		this.protocol = agreed.protocol;
+		this.features = agreed.features;
+		this.wireCodec = (this.features.has('codecs') && msg.codec === this.codec.name) ? this.codec : jsonCodec;
+	}
+
+
+	/**
+	 * Check if we agreed with the server to use an optional part of the protocol, see protocol.js
+	 * 
+	 * @param {String} feature - The feature, i.e. 'patches'
+	 * @returns {Boolean} - true if both of us have it
+	 */
+	supports(feature) {
+		return !!this.features && this.features.has(feature);
+	}
+
+
+	/**
+	 * Put the connection in the error state, i.e. when the server refuses our credentials
+	 * 
+	 * @param {String} reason - Short reason code
+	 * @param {String} message - Human readable description
+	 */
+	setError(reason, message) {
+		this.status.status = 'error';
+		this.status.lastError = { reason, message, at: Date.now() };
+	}
+
+
+	/**
+	 * Reconnect right away if we're not connected, even if we gave up
+	 */
+	reconnectNow() {
+
+		if (this.closed)
+			return;
+
+		// already connected, or on our way
+		if (this.socket && (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING))
 			return;
+
+		clearTimeout(this.reconnectTimer);
+		this.attempts = 0;
+		this.gaveUp = false;
+		this.connect();
+	}
+
+
+	/**
+	 * Check if the socket is open and can send messages
+	 * 
+	 * @returns {Boolean} - True if the socket is open
+	 */
+	isOpen() {
+		return this.handshakeDone && !!this.socket && this.socket.readyState === WebSocket.OPEN;
+	}
+
+
+	/**
+	 * Get a new id for a message, unique for this connection
+	 * 
+	 * @returns {Number} - The id
+	 */
+	nextId() {
+		return ++this.lastId;
+	}
+
+
+	/**
+	 * Send a message to the server
+	 * 
+	 * @param {Object} msg - The message to send
+	 * @returns {Boolean} - True if the message was sent, false if the socket isn't open
+	 */
+	send(msg) {
+
+		if (!this.isOpen())
+			return false;
+
+		this.socket.send(this.wireCodec.encode(msg));
+		return true;
+	}
+
+
+	/**
+	 * Deliver a message to the other refs on this connection with the same key
+	 * 
+	 * The server doesn't echo updates back to the socket that sent them, so refs that share
+	 * our socket need to hear about each other's writes from us.
+	 * 
+	 * @param {SocketRefState} source - The ref that the message came from
+	 * @param {Object} msg - The message to deliver
+	 */
+	sendLocal(source, msg) {
+
+		// (route gives each ref its own copy, just like from the server)
+		this.route({ ...msg, local: true }, source);
+	}
+
+
+	/**
+	 * Pass a message for a key to the refs subscribed to the key, and the collections whose pattern matches it
+	 * 
+	 * @param {Object} msg - The message
+	 * @param {SocketRefState} source - OPTIONAL; the ref it came from, which doesn't get it
+	 */
+	route(msg, source = null) {
+
+		// local messages are copied, so everyone gets their own copy
+		const copy = () => msg.local ? cloneValue(msg) : msg;
+
+		// copy the sets, since handling a message may cleanup a subscriber
+		const states = this.subscribers.get(msg.key);
+		for (const state of (states ? [...states] : [])) {
+			if (state !== source)
+				state.handleMessage(copy());
 		}
 
-		// Reset counter if more than 1 second has passed
-		if (now - this.lastRateLimitReset > 1000) {
-			this.updatesLastSecond = 0;
-			this.lastRateLimitReset = now;
+		if (msg.key === undefined)
+			return;
+		for (const collection of [...this.collections]) {
+			if (matchKey(collection.pattern, msg.key))
+				collection.handleMessage(copy());
 		}
+	}
 
-		this.updatesLastSecond++;
 
-		if (this.updatesLastSecond > 100) {
-			console.warn(`SocketRef: Rate limit exceeded for key "${this.key}". Pausing updates for 1 second.`);
-			this.rateLimitedUntil = now + 1000;
-			return;
+	/**
+	 * Add a SocketRefState to this connection
+	 * 
+	 * @param {SocketRefState} state - The state to subscribe
+	 */
+	subscribe(state) {
+
+		let states = this.subscribers.get(state.key);
+		if (!states) {
+			states = new Set();
+			this.subscribers.set(state.key, states);
 		}
-		
-		const ts = forceTimestamp || now;
-		this.timestamp = ts;
+		states.add(state);
+		activeStates.add(state);
 
-		if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-			this.socket.send(JSON.stringify({
-				type: 'update',
-				key: this.key,
-				value: newValue,
-				timestamp: ts
-			}));
+		// if we're already connected, the new ref needs its own init
+		if (this.isOpen())
+			this.send({ type: 'init', key: state.key });
+	}
 
-		} else {
-			// Track pending write if not yet ready
-			this.pendingWrite = { value: newValue, timestamp: ts };
+
+	/**
+	 * Remove a SocketRefState from this connection, closing it if it was the last one
+	 * 
+	 * When it was the last ref for its key, we tell the server to stop sending us that key.
+	 * 
+	 * @param {SocketRefState} state - The state to unsubscribe
+	 */
+	unsubscribe(state) {
+
+		const states = this.subscribers.get(state.key);
+		let lastForKey = false;
+		if (states) {
+			states.delete(state);
+			if (states.size === 0) {
+				this.subscribers.delete(state.key);
+				lastForKey = true;
+			}
 		}
+		activeStates.delete(state);
+
+		if (this.isUnused())
+			this.close();
+		else if (lastForKey && this.isOpen())
+			this.send({ type: 'unsubscribe', key: state.key });
 	}
 
 
 	/**
-	 * Cleanup the socket and watchers
+	 * Check if any of our refs for a key want its history
 	 * 
-	 * This should automatically be called when the state ref we created is garbage collected
+	 * @param {String} key - The key
+	 * @returns {Boolean} - true if any of them are watching it
 	 */
-	cleanup() {
+	historyWanted(key) {
+		const states = this.subscribers.get(key);
+		return !!states && [...states].some((state) => state.historyWatchers > 0);
+	}
 
-		// stop the watcher
-		if (this.stopWatch) {
-			this.stopWatch();
-			this.stopWatch = null;
-		}
 
-		// close the socket
-		if (this.socket) {
-			this.socket.close();
-			this.socket = null;
+	/**
+	 * Add a SocketCollectionState to this connection
+	 * 
+	 * @param {SocketCollectionState} collection - The collection to subscribe
+	 */
+	subscribeCollection(collection) {
+
+		this.collections.add(collection);
+
+		if (this.isOpen())
+			this.send({ type: 'subscribePattern', pattern: collection.pattern });
+	}
+
+
+	/**
+	 * Remove a SocketCollectionState from this connection, closing it if it was the last subscriber
+	 * 
+	 * @param {SocketCollectionState} collection - The collection to unsubscribe
+	 */
+	unsubscribeCollection(collection) {
+
+		this.collections.delete(collection);
+
+		// (another collection may still want the same pattern)
+		const stillWanted = [...this.collections].some((other) => other.pattern === collection.pattern);
+
+		if (this.isUnused())
+			this.close();
+		else if (!stillWanted && this.isOpen())
+			this.send({ type: 'unsubscribePattern', pattern: collection.pattern });
+	}
+
+
+	/**
+	 * Update what we tell the server about ourselves
+	 * 
+	 * @param {Object} presence - Fields to change, i.e. { name, color }
+	 */
+	setPresence(presence) {
+
+		this.presence = { ...this.presence, ...presence };
+
+		if (this.isOpen())
+			this.send({ type: 'presence', state: this.presence });
+	}
+
+
+	/**
+	 * Start getting presence lists from the server
+	 */
+	watchPresence() {
+
+		this.presenceWatchers++;
+
+		if (this.presenceWatchers === 1 && this.isOpen())
+			this.send({ type: 'subscribePresence' });
+	}
+
+
+	/**
+	 * Stop getting presence lists, closing the connection if nothing else is using it
+	 */
+	unwatchPresence() {
+
+		this.presenceWatchers--;
+
+		if (this.isUnused())
+			this.close();
+		else if (this.presenceWatchers === 0 && this.isOpen())
+			this.send({ type: 'unsubscribePresence' });
+	}
+
+
+	/**
+	 * Start calling a handler for an event
+	 * 
+	 * @param {String} name - The event name
+	 * @param {Function} handler - (payload, { name, from }) => void
+	 */
+	addEventHandler(name, handler) {
+
+		let handlers = this.eventHandlers.get(name);
+		if (!handlers) {
+			handlers = new Set();
+			this.eventHandlers.set(name, handlers);
+			if (this.isOpen())
+				this.send({ type: 'subscribeEvent', name });
 		}
+		handlers.add(handler);
 	}
 
-}
\ No newline at end of file
+
+	/**
+	 * Stop calling a handler for an event, closing the connection if nothing else is using it
+	 * 
+	 * @param {String} name - The event name
+	 * @param {Function} handler - The handler
+	 */
+	removeEventHandler(name, handler) {
+
+		const handlers = this.eventHandlers.get(name);
+		if (!handlers || !handlers.delete(handler) || handlers.size > 0)
+			return;
+		this.eventHandlers.delete(name);
+
+		if (this.isUnused())
+			this.close();
+		else if (this.isOpen())
+			this.send({ type: 'unsubscribeEvent', name });
+	}
+
+
+	/**
+	 * Keep the connection open for a socketEvent, until it's removed
+	 * 
+	 * @param {Object} channel - The socketEvent
+	 */
+	addChannel(channel) {
+		this.channels.add(channel);
+	}
+
+
+	/**
+	 * Stop keeping the connection open for a socketEvent, closing it if nothing else is using it
+	 * 
+	 * @param {Object} channel - The socketEvent
+	 */
+	removeChannel(channel) {
+
+		this.channels.delete(channel);
+
+		if (this.isUnused())
+			this.close();
+	}
+
+
+	/**
+	 * Call the handlers for an event
+	 * 
+	 * @param {String} name - The event name
+	 * @param {*} payload - The event payload
+	 * @param {Number|null} from - The sender's client id, or null if it's from us or the server
+	 */
+	dispatchEvent(name, payload, from) {
+
+		for (const handler of [...(this.eventHandlers.get(name) || [])]) {
+			try {
+				handler(payload, { name, from });
+			} catch (err) {
+				console.error(`SocketRef: handler for event "${name}" threw`, err);
+			}
+		}
+	}
+
+
+	/**
+	 * Call a function on the server
+	 * 
+	 * If we're not connected yet, the call is sent once we are.
+	 * 
+	 * @param {String} name - The name the server registered it under
+	 * @param {*} args - The arguments for it
+	 * @param {Number} timeout - ms to wait for the result
+	 * @returns {Promise} - Resolves with the result, rejects with an Error with a .code
+	 */
+	call(name, args, timeout) {
+
+		const id = this.nextId();
+		const msg = { type: 'call', id, name, args };
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this.settleCall(id, null, makeCallError(`Call to "${name}" timed out after ${timeout}ms`, 'timeout'));
+			}, timeout);
+
+			this.calls.set(id, { msg, resolve, reject, timer, sent: false });
+			this.calls.get(id).sent = this.send(msg);
+		});
+	}
+
+
+	/**
+	 * Resolve or reject a call, closing the connection if it was all that was using it
+	 * 
+	 * @param {Number} id - The call id
+	 * @param {*} value - The result
+	 * @param {Error|null} error - The error, or null if it succeeded
+	 */
+	settleCall(id, value, error) {
+
+		const call = this.calls.get(id);
+		if (!call)
+			return;
+		this.calls.delete(id);
+		clearTimeout(call.timer);
+
+		if (error)
+			call.reject(error);
+		else
+			call.resolve(value);
+
+		if (this.isUnused())
+			this.close();
+	}
+
+
+	/**
+	 * Check if nothing is using this connection anymore
+	 * 
+	 * @returns {Boolean} - true if there are no refs, collections, socketEvents, event handlers, presence watchers or calls
+	 */
+	isUnused() {
+		return this.subscribers.size === 0 && this.collections.size === 0 && this.channels.size === 0
+			&& this.eventHandlers.size === 0 && this.presenceWatchers === 0 && this.calls.size === 0;
+	}
+
+
+	/**
+	 * Close the socket for good & forget this connection
+	 */
+	close() {
+
+		this.closed = true;
+		clearTimeout(this.reconnectTimer);
+
+		if (this.socket) {
+			this.socket.close();
+			this.socket = null;
+		}
+
+		if (connectionMap.get(this.id) === this)
+			connectionMap.delete(this.id);
+	}
+
+}
+
+
+/**
+ * Class to handle the WebSocket syncing for a socketRef
+ */
+class SocketRefState {
+
+	/**
+	 * Create a new SocketRefState
+	 * 
+	 * @param {WeakRef} weakState - WeakRef to the state ref
+	 * @param {String} key - The key used for syncing with the server
+	 * @param {*} defaultValue - The default value for the socketRef
+	 * @param {SocketConnection} connection - The shared connection to the server
+	 * @param {Boolean} readyOnly - True if the ref is read-only
+	 * @param {Function} onInitialConnect - A callback to run when the socket connects
+	 * @param {Object} settings - { patches, offlineStorage, onConflict, validate, ttl, rateLimit, onRateLimit }
+	 * @param {Boolean} settings.patches - True to send just the changes to object values, instead of the whole value
+	 * @param {Object} settings.offlineStorage - Storage to keep writes in while disconnected, or null to only keep the latest in memory
+	 * @param {Function} settings.onConflict - OPTIONAL; called when a queued write loses to the server's value
+	 * @param {Object|Function} settings.validate - OPTIONAL; schema or function to check values with before writing them
+	 * @param {Number} settings.ttl - OPTIONAL; ms the server keeps the key after our last write
+	 * @param {Object|String|Boolean} settings.rateLimit - rate limit policy for our writes, null for the global one or false for none
+	 * @param {Function} settings.onRateLimit - OPTIONAL; called when our writes start being limited
+	 */
+	constructor(weakState, key, defaultValue, connection, readyOnly, onInitialConnect, settings) {
+
+		// store the weakState, key, defaultValue, and timestamp
+		this.weakState = weakState;
+		this.key = key;
+		this.defaultValue = defaultValue;
+		this.readyOnly = readyOnly;
+		this.onInitialConnect = onInitialConnect;
+
+		// writes made while the socket is not ready, oldest first
+		// (without offline storage, only the latest is kept)
+		this.pendingWrites = [];
+
+		// where the pending writes are saved in offline mode, so they survive a reload
+		this.offlineStorage = settings.offlineStorage;
+		this.offlineKey = `socket-ref:${connection.url}:${key}`;
+		this.onConflict = settings.onConflict;
+
+		// queued writes we've replayed and not heard back about, so we know a stale reject for one is a conflict
+		this.replayedWrites = new Map(); // write id => pending write
+
+		// an init reply that came before we finished loading the saved queue
+		this.offlineLoaded = !this.offlineStorage;
+		this.deferredInit = null;
+
+		// the last write we sent that the server hasn't answered yet, in case the socket drops
+		this.inFlight = null;
+
+		// promises for writes the server hasn't answered, and the status of the latest one
+		this.writeWaiters = new Map(); // write id => { promise, resolve, reject }
+		this.lastWriteId = null;
+		this.lastSettled = null; // { id, promise } for the latest write, in case it was answered right away
+		this.writeStatus = reactive({ status: 'idle', reason: null });
+
+		// for writing, we'll need a timestamp
+		this.timestamp = 0;
+		this.lastWriteTimestamp = 0;
+
+		// if the server orders writes by version instead of timestamp, the version our value is based on
+		// (the server tells us which it uses in its init reply)
+		this.useVersions = false;
+		this.version = 0;
+
+		// a copy of the value as of our last sync with the server, to diff our writes against
+		this.patches = settings.patches;
+
+		// checks our values before we write them
+		this.validate = settings.validate || null;
+
+		// sent with our writes, so the server expires the key if we stop writing
+		this.ttl = settings.ttl || null;
+		this.lastSynced = undefined;
+
+		// decides which of our writes go out right away, and which are held or dropped (see rateLimit.js)
+		// (false turns limiting off, null uses the global policy)
+		this.limiter = createRateLimiter(settings.rateLimit === null ? globalRateLimit : settings.rateLimit);
+		this.onRateLimit = settings.onRateLimit || null;
+		this.limiting = false;
+
+		// writes the limiter is holding, sent as one write of our latest value when cancelFlush's timer is up
+		this.heldWrites = [];
+		this.cancelFlush = null;
+
+		// writes that were merged into a later write, and settle when it does
+		this.coalescedWrites = new Map(); // write id => [merged write ids]
+
+		// flag to prevent infinite loops when updating from socket
+		this.isProcessingSocketMessage = false;
+
+		// set once we've been cleaned up, see cleanup
+		this.disposed = false;
+
+		// this will become a function that stops the watchers in the socketRef or socketShallowRef closure
+		// this will be set after construction in said closure. See createSocketRef above.
+		this.stopWatch = null;
+
+		// reactive flag for when we're synced with the server (see the ready getter), when we last heard from it,
+		// and whether we've been disposed, so statuses can show we're offline for good
+		this.syncStatus = reactive({ synced: false, lastSyncAt: null, disposed: false });
+
+		// our key's history from the server, while anyone is using it (see useSocketRefHistory)
+		this.historyState = reactive({ entries: [], index: -1 });
+		this.historyWatchers = 0;
+
+		// connect to the server, sharing the socket with any other refs on the same url
+		this.connection = connection;
+		this.connection.subscribe(this);
+
+		// pick up any writes we couldn't send before the last reload
+		if (this.offlineStorage)
+			this.loadOfflineQueue();
+	}
+
+
+	/**
+	 * True once we've got the server's value, and until the socket drops
+	 * 
+	 * @returns {Boolean}
+	 */
+	get ready() {
+		return this.syncStatus.synced;
+	}
+
+	set ready(value) {
+		this.syncStatus.synced = value;
+		if (value)
+			this.syncStatus.lastSyncAt = Date.now();
+	}
+
+
+	/**
+	 * Handle a message from the server (or from another ref on the same connection) for our key
+	 * 
+	 * @param {Object} msg - The parsed message
+	 */
+	handleMessage(msg) {
+
+		// an init reply is only for refs that are still waiting on one
+		if (msg.type === 'init' && this.ready)
+			return;
+
+		// the init reply has to wait until we know what writes we had queued
+		if (msg.type === 'init' && !this.offlineLoaded) {
+			this.deferredInit = msg;
+			return;
+		}
+
+		// get the vue ref state
+		const state = this.weakState.deref();
+		if (!state)
+			return;
+
+		// start ignoring changes from the socket so we don't loop
+		this.isProcessingSocketMessage = true;
+
+		try {
+			// Handle init response, which includes the current value from the server
+			if (msg.type === 'init') {
+
+				const serverTimestamp = msg.timestamp || 0;
+				const serverValue = msg.value;
+
+				// the server will only take our pending writes if they're based on its current version,
+				// otherwise each pending write has to be newer than the server's value
+				this.useVersions = (msg.version !== undefined);
+				const pendingWrites = this.pendingWrites;
+				const winners = (serverValue === null) ? pendingWrites : pendingWrites.filter((pending) => this.useVersions
+					? pendingWrites[0].baseVersion === msg.version
+					: pending.timestamp > serverTimestamp);
+				this.version = msg.version || 0;
+
+				// we're synced from here on, so the writes below go straight to the server
+				this.pendingWrites = [];
+				this.ready = true;
+
+				if (winners.length > 0) {
+
+					// replay our pending writes in order, the last one is our value now
+					for (const pending of winners) {
+						if (this.offlineStorage)
+							this.replayedWrites.set(pending.id, pending);
+						state.value = pending.value;
+						this.write(pending.value, pending.timestamp, pending.id);
+					}
+
+				} else if (serverValue === null) {
+
+					// Server has no value for this key
+					state.value = this.defaultValue;
+					this.write(this.defaultValue);
+					// (write stamps our timestamp, marking this client as source of truth)
+
+				} else {
+
+					// Server has value
+					state.value = serverValue;
+					this.timestamp = serverTimestamp;
+				}
+
+				// the rest of our pending writes lost, unless the server already had them before we disconnected
+				for (const pending of pendingWrites) {
+					if (winners.includes(pending))
+						continue;
+					if (diffValues(serverValue, pending.value).length === 0)
+						this.settleWrite(pending.id, null);
+					else
+						this.loseWrite(pending, serverValue);
+				}
+				this.saveOfflineQueue();
+
+				this.lastSynced = cloneValue(state.value);
+
+				// if we have a callback for the initial connect, run it
+				if (this.onInitialConnect)
+					this.onInitialConnect();
+				return;
+			}
+
+			// our key's history changed
+			if (msg.type === 'history') {
+				this.historyState.entries = msg.entries;
+				this.historyState.index = msg.index;
+				return;
+			}
+
+			// the key was deleted, so we go back to our default value
+			if (msg.type === 'delete') {
+				if (msg.local || this.useVersions || msg.timestamp > this.timestamp)
+					this.resetToDefault(state, msg.timestamp);
+				return;
+			}
+
+			// the server refused something we sent
+			if (msg.type === 'reject') {
+				this.handleReject(state, msg);
+				return;
+			}
+
+			// the server wants the whole value, because it no longer has the one our patch was based on
+			if (msg.type === 'resync') {
+
+				// we assumed the patch would be accepted as the next version, but it wasn't
+				if (this.inFlight && this.inFlight.id === msg.id)
+					this.version = this.inFlight.baseVersion;
+
+				this.write(state.value, this.timestamp, msg.id);
+				return;
+			}
+
+			// the server accepted our write, and tells us the version it became
+			if (msg.type === 'ack') {
+				if (msg.value !== undefined)
+					this.adoptValue(state, msg);
+				else if (msg.version > this.version)
+					this.version = msg.version;
+				this.syncStatus.lastSyncAt = Date.now();
+				this.settleWrite(msg.id, null);
+				return;
+			}
+
+			// Normal update
+			if (!this.isNewer(msg))
+				return;
+
+			// patches only make sense against the value they were made from, otherwise get the whole thing
+			if (msg.type === 'patch') {
+				const base = this.useVersions ? msg.baseVersion === this.version : msg.baseTimestamp === this.timestamp;
+				if (!base) {
+					this.resync();
+					return;
+				}
+				this.applyPatch(state, msg.ops);
+				this.timestamp = msg.timestamp;
+				this.version = msg.version || 0;
+				return;
+			}
+
+			// update the timestamp and the state value
+			// because we are updating the vue state, it will be reactive for the user
+			this.adoptValue(state, msg);
+
+		} finally {
+			this.isProcessingSocketMessage = false;
+		}
+	}
+
+
+	/**
+	 * Handle the server refusing an init or a write for our key
+	 * 
+	 * @param {ref|shallowRef} state - The vue ref state
+	 * @param {Object} msg - The reject message
+	 */
+	handleReject(state, msg) {
+
+		console.warn(`SocketRef: server rejected ${msg.op} for key "${this.key}": ${msg.reason}`);
+
+		// if we couldn't even read the key, we're done waiting on the initial connect
+		if (msg.op === 'init') {
+			if (this.onInitialConnect)
+				this.onInitialConnect(false);
+			return;
+		}
+
+		// put back the server's value, if we're allowed to see it
+		if (msg.value !== undefined)
+			this.adoptValue(state, msg);
+
+		// a replayed offline write can still lose, if someone else got in while it was on its way
+		const replayed = this.replayedWrites.get(msg.id);
+		if (replayed && msg.reason === 'stale')
+			this.emitConflict(replayed, msg.value);
+
+		this.settleWrite(msg.id, msg.reason, msg.value, msg.error);
+	}
+
+
+	/**
+	 * Handle our connection's socket closing
+	 * 
+	 * The last write we sent may never have made it, so we hold on to it to send again when we
+	 * reconnect. Any older writes we haven't heard back about are given up on.
+	 */
+	handleDisconnect() {
+
+		this.ready = false;
+
+		if (this.inFlight && this.pendingWrites.length === 0)
+			this.pendingWrites = [this.inFlight];
+		this.inFlight = null;
+
+		// writes that were waiting on an ack won't get one now, so they join the pending writes
+		if (this.heldWrites.length > 0 && !this.cancelFlush)
+			this.flushWrites();
+
+		// (writes our rate limiter is holding haven't been sent yet, so they'll still go out)
+		const keepIds = new Set(this.pendingWrites.map((pending) => pending.id).concat(this.heldWrites));
+		for (const id of [...this.writeWaiters.keys()]) {
+			if (!keepIds.has(id))
+				this.settleWrite(id, 'disconnected');
+		}
+		this.saveOfflineQueue();
+	}
+
+
+	/**
+	 * Load the writes we had queued before the last reload, from offline storage
+	 * 
+	 * They go ahead of anything written since, and our value becomes the latest of them.
+	 */
+	async loadOfflineQueue() {
+
+		let saved = [];
+		try {
+			const data = await this.offlineStorage.getItem(this.offlineKey);
+			if (data)
+				saved = data.startsWith(offlineBase64Prefix) ? decodeBase64(data.slice(offlineBase64Prefix.length)) : JSON.parse(data);
+		} catch (err) {
+			console.warn(`SocketRef: couldn't load offline writes for key "${this.key}"`, err);
+		}
+
+		// (something else might have written to our storage key)
+		if (!Array.isArray(saved)) {
+			console.warn(`SocketRef: ignoring offline writes for key "${this.key}" that aren't a list`);
+			saved = [];
+		}
+		saved = saved.filter((pending) => pending && typeof pending === 'object');
+
+		// we were cleaned up while loading
+		if (!this.connection)
+			return;
+
+		// each loaded write gets a new id, since ids only mean something on this page
+		// (writes made since loading started are still the latest)
+		const latestId = this.lastWriteId;
+		const queued = saved.map((pending) => ({ ...pending, id: this.connection.nextId() }));
+		for (const pending of queued) {
+			this.trackWrite(pending.id);
+			this.lastWriteTimestamp = Math.max(this.lastWriteTimestamp, pending.timestamp);
+		}
+		if (this.pendingWrites.length > 0)
+			this.lastWriteId = latestId;
+		this.pendingWrites = [...queued, ...this.pendingWrites];
+
+		// show the user their offline edits, unless they've already made newer ones
+		const state = this.weakState.deref();
+		if (state && queued.length > 0 && this.pendingWrites.length === queued.length) {
+			this.isProcessingSocketMessage = true;
+			state.value = queued[queued.length - 1].value;
+			this.isProcessingSocketMessage = false;
+		}
+
+		this.offlineLoaded = true;
+		if (this.deferredInit) {
+			const msg = this.deferredInit;
+			this.deferredInit = null;
+			this.handleMessage(msg);
+		}
+	}
+
+
+	/**
+	 * Save our pending writes to offline storage, or clear them out once there aren't any
+	 */
+	saveOfflineQueue() {
+
+		// (don't clobber the saved queue before we've loaded it)
+		if (!this.offlineStorage || !this.offlineLoaded)
+			return;
+
+		// (values JSON can't hold, like Dates or Uint8Arrays, are saved with binaryCodec so they keep their types)
+		const queue = this.pendingWrites.map(({ value, timestamp, baseVersion }) => ({ value, timestamp, baseVersion }));
+		Promise.resolve()
+			.then(() => queue.length > 0
+				? this.offlineStorage.setItem(this.offlineKey, queue.every(({ value }) => isPlainJson(value))
+					? JSON.stringify(queue)
+					: offlineBase64Prefix + encodeBase64(queue))
+				: this.offlineStorage.removeItem(this.offlineKey))
+			.catch((err) => console.warn(`SocketRef: couldn't save offline writes for key "${this.key}"`, err));
+	}
+
+
+	/**
+	 * Reject a pending write that lost to the server's value, and report the conflict
+	 * 
+	 * @param {Object} pending - The pending write
+	 * @param {*} serverValue - The value that won
+	 */
+	loseWrite(pending, serverValue) {
+		if (this.offlineStorage)
+			this.emitConflict(pending, serverValue);
+		this.settleWrite(pending.id, 'stale', serverValue);
+	}
+
+
+	/**
+	 * Tell our onConflict option and the global conflict handlers about a queued write that lost
+	 * 
+	 * @param {Object} pending - The write that lost
+	 * @param {*} serverValue - The value that won
+	 */
+	emitConflict(pending, serverValue) {
+
+		const conflict = { key: this.key, value: pending.value, timestamp: pending.timestamp, serverValue };
+		const handlers = this.onConflict ? [this.onConflict, ...conflictHandlers] : [...conflictHandlers];
+		for (const handler of handlers) {
+			try {
+				handler(conflict);
+			} catch (err) {
+				console.error('SocketRef: conflict handler threw', err);
+			}
+		}
+	}
+
+
+	/**
+	 * Start tracking a write, so callers can wait for the server to answer it
+	 * 
+	 * @param {Number} id - The write id
+	 */
+	trackWrite(id) {
+
+		this.lastWriteId = id;
+		this.writeStatus.status = 'pending';
+		this.writeStatus.reason = null;
+
+		// replayed writes keep the promise they already had
+		if (this.writeWaiters.has(id))
+			return;
+
+		const waiter = {};
+		waiter.promise = new Promise((resolve, reject) => {
+			waiter.resolve = resolve;
+			waiter.reject = reject;
+		});
+
+		// nobody has to wait on a write, so don't let an unwatched rejection be "unhandled"
+		waiter.promise.catch(() => {});
+
+		this.writeWaiters.set(id, waiter);
+	}
+
+
+	/**
+	 * Resolve or reject the promise for a write, and update the write status if it's the latest one
+	 * 
+	 * @param {Number} id - The write id
+	 * @param {String|null} reason - Why the write was rejected, or null if it was saved
+	 * @param {*} value - OPTIONAL; the value that won, if it was rejected
+	 * @param {String} error - OPTIONAL; more about why it was rejected, i.e. the validation error
+	 */
+	settleWrite(id, reason, value, error) {
+
+		// writes waiting on this one (see write) go now, based on the version it became,
+		// or lose with it if it lost, since they were made on top of it
+		if (this.inFlight && this.inFlight.id === id) {
+			this.inFlight = null;
+			if (this.heldWrites.length > 0 && !this.cancelFlush) {
+				if (reason === 'stale') {
+					const held = this.heldWrites;
+					this.heldWrites = [];
+					for (const heldId of held)
+						this.settleWrite(heldId, reason, value, error);
+				} else {
+					this.flushWrites();
+				}
+			}
+		}
+		this.replayedWrites.delete(id);
+
+		if (id === this.lastWriteId) {
+			this.writeStatus.status = reason ? 'rejected' : 'saved';
+			this.writeStatus.reason = reason;
+		}
+
+		// writes that were merged into this one have the same fate
+		const coalesced = this.coalescedWrites.get(id);
+		if (coalesced) {
+			this.coalescedWrites.delete(id);
+			for (const mergedId of coalesced)
+				this.settleWrite(mergedId, reason, value, error);
+		}
+
+		const waiter = this.writeWaiters.get(id);
+		if (!waiter)
+			return;
+		this.writeWaiters.delete(id);
+		if (id === this.lastWriteId)
+			this.lastSettled = { id, promise: waiter.promise };
+
+		if (!reason) {
+			waiter.resolve();
+			return;
+		}
+
+		const err = new Error(`SocketRef: write to "${this.key}" was rejected: ${reason}` + (error ? ` (${error})` : ''));
+		err.reason = reason;
+		err.value = value;
+		waiter.reject(err);
+	}
+
+
+	/**
+	 * Get a promise for when the server answers a write
+	 * 
+	 * @param {Number} id - The write id
+	 * @returns {Promise} - Resolves when saved, rejects when refused. Older answered writes resolve right away.
+	 */
+	waitForWrite(id) {
+
+		const waiter = this.writeWaiters.get(id);
+		if (waiter)
+			return waiter.promise;
+
+		// the latest write may have been refused before anyone could wait on it
+		if (this.lastSettled && this.lastSettled.id === id)
+			return this.lastSettled.promise;
+
+		return Promise.resolve();
+	}
+
+
+	/**
+	 * Check if a message from the server is newer than our value
+	 * 
+	 * @param {Object} msg - The update or patch message
+	 * @returns {Boolean} - True if the message is newer
+	 */
+	isNewer(msg) {
+
+		// other refs on our socket always have the latest value
+		if (msg.local)
+			return true;
+
+		return this.useVersions ? msg.version > this.version : msg.timestamp > this.timestamp;
+	}
+
+
+	/**
+	 * Take the value (and timestamp & version) from a server message as our own
+	 * 
+	 * @param {ref|shallowRef} state - The vue ref state
+	 * @param {Object} msg - The message with the value
+	 */
+	adoptValue(state, msg) {
+		this.syncStatus.lastSyncAt = Date.now();
+		this.timestamp = msg.timestamp || 0;
+		this.version = msg.version || 0;
+		state.value = msg.value;
+		this.lastSynced = cloneValue(msg.value);
+	}
+
+
+	/**
+	 * Go back to our default value, after our key was deleted
+	 * 
+	 * The key starts over on the server, so our version does too.
+	 * 
+	 * @param {ref|shallowRef} state - The vue ref state
+	 * @param {Number} timestamp - When the key was deleted
+	 */
+	resetToDefault(state, timestamp) {
+		this.syncStatus.lastSyncAt = Date.now();
+		this.timestamp = timestamp || 0;
+		this.version = 0;
+		state.value = cloneValue(this.defaultValue);
+		this.lastSynced = cloneValue(this.defaultValue);
+	}
+
+
+	/**
+	 * Delete our key on the server
+	 * 
+	 * @returns {Promise} - Resolves once the server has deleted it
+	 */
+	remove() {
+
+		const id = this.connection.nextId();
+		this.trackWrite(id);
+
+		// deletes aren't queued, there's nothing to reconcile them against
+		if (!this.ready || !this.connection.send({ type: 'delete', id, key: this.key })) {
+			this.settleWrite(id, 'disconnected');
+			return this.waitForWrite(id);
+		}
+
+		// reset ourselves & the other refs for our key on our socket, without writing the default back
+		const state = this.weakState.deref();
+		const timestamp = Math.max(Date.now(), this.lastWriteTimestamp + 1);
+		this.lastWriteTimestamp = timestamp;
+		if (state) {
+			this.isProcessingSocketMessage = true;
+			this.resetToDefault(state, timestamp);
+			this.isProcessingSocketMessage = false;
+		}
+		this.connection.sendLocal(this, { type: 'delete', key: this.key, timestamp });
+
+		return this.waitForWrite(id);
+	}
+
+
+	/**
+	 * Start getting our key's history from the server
+	 */
+	watchHistory() {
+
+		// a disposed ref has no socket to get it over
+		if (this.disposed)
+			return;
+
+		this.historyWatchers++;
+
+		if (this.historyWatchers === 1 && this.connection.isOpen())
+			this.connection.send({ type: 'subscribeHistory', key: this.key });
+	}
+
+
+	/**
+	 * Stop getting our key's history, unless another ref for it on our socket still wants it
+	 */
+	unwatchHistory() {
+
+		if (this.historyWatchers === 0)
+			return;
+		this.historyWatchers--;
+
+		if (this.connection && !this.connection.historyWanted(this.key) && this.connection.isOpen())
+			this.connection.send({ type: 'unsubscribeHistory', key: this.key });
+	}
+
+
+	/**
+	 * Ask the server to undo or redo our key, which everyone gets like any other write
+	 * 
+	 * @param {String} direction - 'undo' or 'redo'
+	 * @returns {Promise} - Resolves once the server has done it, rejects with reason 'no-history' if there was nothing to do
+	 */
+	stepHistory(direction) {
+
+		if (this.readyOnly)
+			return Promise.reject(new Error(`SocketRef: "${this.key}" is read-only`));
+		if (this.disposed)
+			return Promise.reject(new Error(`SocketRef: "${this.key}" has been disposed`));
+
+		const id = this.connection.nextId();
+		this.trackWrite(id);
+
+		if (!this.ready || !this.connection.send({ type: direction, id, key: this.key }))
+			this.settleWrite(id, 'disconnected');
+
+		return this.waitForWrite(id);
+	}
+
+
+	/**
+	 * Apply a patch from the server to our ref
+	 * 
+	 * @param {ref|shallowRef} state - The vue ref state
+	 * @param {Array<Object>} ops - The patch operations
+	 */
+	applyPatch(state, ops) {
+
+		try {
+			// patch in place so only the changed fields trigger, but shallowRefs need a nudge
+			const patched = applyPatch(state.value, ops);
+			if (patched !== state.value)
+				state.value = patched;
+			else
+				triggerRef(state);
+
+			this.lastSynced = cloneValue(patched);
+			this.syncStatus.lastSyncAt = Date.now();
+
+		} catch (err) {
+			// the patch didn't fit our value, so it's out of sync
+			this.resync();
+		}
+	}
+
+
+	/**
+	 * Ask the server for the whole value again, when we've fallen out of sync with it
+	 */
+	resync() {
+		this.ready = false;
+		this.connection.send({ type: 'init', key: this.key });
+	}
+
+
+	/**
+	 * Send value updates to the server
+	 * 
+	 * New writes go through our rate limiter first, which may hold them and send just the latest
+	 * value later, or drop them (see rateLimit.js). Replayed writes go straight to sendWrite.
+	 * 
+	 * Until we're synced, the write is held as a pending write, which the init reply decides on.
+	 * 
+	 * @param {*} newValue - The new value to write to the server
+	 * @param {Number} forceTimestamp - OPTIONAL; timestamp to use instead of now
+	 * @param {Number} id - OPTIONAL; id of the write we're resending, otherwise a new one is made
+	 */
+	write(newValue, forceTimestamp = null, id = null) {
+
+		// if this is a read-only ref, don't write
+		if(this.readyOnly)
+			return;
+
+		// check the value first, so a bad one never leaves this client
+		// (replayed writes were checked the first time)
+		if (this.validate && id === null) {
+			const checked = validateValue(this.validate, newValue, this.key);
+			if (!checked.valid) {
+				id = this.connection.nextId();
+				this.trackWrite(id);
+				this.restoreValue(this.lastSynced === undefined ? this.defaultValue : this.lastSynced);
+				this.settleWrite(id, 'invalid', undefined, checked.error);
+				return;
+			}
+			if (checked.value !== newValue) {
+				newValue = checked.value;
+				this.restoreValue(newValue);
+			}
+		}
+
+		// replayed writes keep their id, and were already rate limited
+		if (id !== null) {
+			this.sendWrite(newValue, forceTimestamp, id);
+			return;
+		}
+
+		// every write gets an id, so the server can tell us what happened to it
+		id = this.connection.nextId();
+		this.trackWrite(id);
+
+		const decision = this.limiter.check(Date.now());
+
+		if (decision.action === 'drop') {
+			if (decision.started)
+				this.reportRateLimit('dropped');
+			this.settleWrite(id, 'rate-limited');
+			return;
+		}
+
+		if (decision.action === 'defer') {
+			this.holdWrite(id, decision.delay);
+			return;
+		}
+
+		this.limiting = false;
+
+		// when the server orders by version, our next write is based on whatever version the last one became,
+		// so it waits for the ack (if we guessed, the server couldn't tell our version from someone else's)
+		if (this.awaitingAck()) {
+			this.heldWrites.push(id);
+			return;
+		}
+
+		// (any writes still held, i.e. if their timer is late, go out with this one)
+		this.rideAlong(id);
+		this.sendWrite(newValue, forceTimestamp, id);
+	}
+
+
+	/**
+	 * Check if we have to hear back about our last write before sending another
+	 * 
+	 * @returns {Boolean} - true if the server orders by version and hasn't acked our write in flight yet
+	 */
+	awaitingAck() {
+		return this.useVersions && !!this.inFlight && !!this.connection && this.connection.supports('acks');
+	}
+
+
+	/**
+	 * Send a write to the server, or hold it as a pending write until we're synced
+	 * 
+	 * When we have a synced object value to diff against, only the changes are sent as a patch.
+	 * Forced timestamps (i.e. replaying writes) always send the whole value.
+	 * 
+	 * If the server orders by version, we send the version our write is based on, and assume
+	 * it'll be accepted as the next version (if not, the server rejects it with its value).
+	 * Until it's acked, our other writes wait (see write).
+	 * 
+	 * @param {*} newValue - The new value to write to the server
+	 * @param {Number} forceTimestamp - OPTIONAL; timestamp to use instead of now
+	 * @param {Number} id - The write id
+	 */
+	sendWrite(newValue, forceTimestamp, id) {
+
+		// see if we can send just the changes
+		let ops = null;
+		if (this.patches && this.connection.supports('patches') && !forceTimestamp && this.ready && this.lastSynced !== null && typeof this.lastSynced === 'object') {
+			ops = diffValues(this.lastSynced, newValue);
+
+			// nothing actually changed, so the server already has it
+			if (ops.length === 0) {
+				this.settleWrite(id, null);
+				return;
+			}
+
+			// if the whole value was swapped out, a patch doesn't save anything
+			if (ops.some(op => op.path === ''))
+				ops = null;
+		}
+
+		const now = Date.now();
+
+		// (two of our writes in the same millisecond still need to be in order)
+		const ts = forceTimestamp || Math.max(now, this.lastWriteTimestamp + 1);
+		this.lastWriteTimestamp = ts;
+		const baseTimestamp = this.timestamp;
+		const baseVersion = this.version;
+		this.timestamp = ts;
+		this.lastSynced = cloneValue(newValue);
+
+		const msg = {
+			type: 'update',
+			id,
+			key: this.key,
+			value: newValue,
+			timestamp: ts
+		};
+
+		// the version we're based on, only for servers that order by version
+		// (and how long the server should keep the key, if it should expire)
+		const extraFields = this.useVersions ? { baseVersion } : {};
+		if (this.ttl)
+			extraFields.ttl = this.ttl;
+
+		// Track pending write if not yet ready
+		const sent = this.ready && (ops
+			? this.connection.send({ type: 'patch', id, key: this.key, ops, baseTimestamp, ...extraFields, timestamp: ts })
+			: this.connection.send({ ...msg, ...extraFields }));
+		if (!sent) {
+
+			// (if we were already offline, the write is still based on the version from before)
+			const previous = this.pendingWrites[0];
+			const pending = { id, value: newValue, timestamp: ts, baseVersion: previous ? previous.baseVersion : baseVersion };
+
+			if (this.offlineStorage) {
+				// in offline mode every write is queued, to be replayed in order
+				this.pendingWrites.push(pending);
+				this.saveOfflineQueue();
+			} else {
+				// only the latest pending write gets sent, so the one it replaces is never saved
+				for (const replaced of this.pendingWrites) {
+					if (replaced.id !== id)
+						this.settleWrite(replaced.id, 'superseded');
+				}
+				this.pendingWrites = [pending];
+			}
+
+		} else {
+			this.inFlight = { id, value: newValue, timestamp: ts, baseVersion };
+			if (this.useVersions)
+				this.version = baseVersion + 1;
+
+			// servers without acks never tell us what happened, so we assume the best
+			if (!this.connection.supports('acks'))
+				this.settleWrite(id, null);
+		}
+
+		// keep any other refs for this key on our socket in sync
+		this.connection.sendLocal(this, { ...msg, version: this.version });
+	}
+
+
+	/**
+	 * Put a value in our ref without writing it
+	 * 
+	 * @param {*} value - The value
+	 */
+	restoreValue(value) {
+
+		const state = this.weakState.deref();
+		if (!state)
+			return;
+
+		const wasProcessing = this.isProcessingSocketMessage;
+		this.isProcessingSocketMessage = true;
+		state.value = cloneValue(value);
+		this.isProcessingSocketMessage = wasProcessing;
+	}
+
+
+	/**
+	 * Hold a write our rate limiter deferred, to send the latest value when the delay is up
+	 * 
+	 * @param {Number} id - The write id
+	 * @param {Number|String} delay - ms to wait, or 'frame' for the next animation frame
+	 */
+	holdWrite(id, delay) {
+
+		this.heldWrites.push(id);
+
+		// a write that won't get its own message means we're being limited
+		if (this.heldWrites.length > 1 && !this.limiting)
+			this.reportRateLimit('coalesced');
+
+		// debouncing waits from the latest write, everything else from the first one held
+		if (this.cancelFlush && this.limiter.policy.strategy === 'debounce') {
+			this.cancelFlush();
+			this.cancelFlush = null;
+		}
+		if (!this.cancelFlush)
+			this.cancelFlush = scheduleFlush(delay, () => this.flushWrites());
+	}
+
+
+	/**
+	 * Make the writes we're holding settle with another write, which carries the latest value for them
+	 * 
+	 * @param {Number} id - The id of the write that carries them
+	 */
+	rideAlong(id) {
+
+		if (this.cancelFlush) {
+			this.cancelFlush();
+			this.cancelFlush = null;
+		}
+
+		const held = this.heldWrites.filter((heldId) => heldId !== id);
+		this.heldWrites = [];
+		if (held.length > 0)
+			this.coalescedWrites.set(id, held);
+	}
+
+
+	/**
+	 * Send the writes we've been holding, as one write of our ref's current value
+	 */
+	flushWrites() {
+
+		this.cancelFlush = null;
+		const held = this.heldWrites;
+		if (held.length === 0)
+			return;
+
+		// (they're sent once our write in flight is acked, see settleWrite)
+		if (this.awaitingAck())
+			return;
+
+		// nothing had to be coalesced, so whatever limiting there was is over
+		if (held.length === 1)
+			this.limiting = false;
+
+		const id = held[held.length - 1];
+		this.rideAlong(id);
+
+		const state = this.weakState.deref();
+		if (!state || !this.connection) {
+			this.settleWrite(id, 'disconnected');
+			return;
+		}
+
+		// if our value went back to what the server has (i.e. someone else's write came in), there's nothing to send
+		if (this.ready && diffValues(this.lastSynced, state.value).length === 0) {
+			this.settleWrite(id, null);
+			return;
+		}
+
+		this.limiter.sent(Date.now());
+		this.sendWrite(state.value, null, id);
+	}
+
+
+	/**
+	 * Tell our rate limit handlers that we've started limiting writes
+	 * 
+	 * @param {String} action - 'coalesced' if writes are being merged into later ones, or 'dropped'
+	 */
+	reportRateLimit(action) {
+
+		this.limiting = true;
+		const info = { key: this.key, strategy: this.limiter.policy.strategy, action };
+
+		if (action === 'dropped' && rateLimitHandlers.size === 0 && !this.onRateLimit)
+			console.warn(`SocketRef: Rate limit exceeded for key "${this.key}". Pausing updates for ${this.limiter.policy.pause}ms.`);
+
+		if (this.onRateLimit)
+			this.onRateLimit(info);
+		for (const handler of rateLimitHandlers)
+			handler(info);
+	}
+
+
+	/**
+	 * Cleanup the socket and watchers
+	 * 
+	 * This is called by disposeSocketRef, when the scope the ref was made in is disposed,
+	 * or when the state ref we created is garbage collected. Only the first call does anything.
+	 */
+	cleanup() {
+
+		if (this.disposed)
+			return;
+		this.disposed = true;
+		this.syncStatus.disposed = true;
+		registry.unregister(this);
+
+		// send anything our rate limiter was holding
+		this.flushWrites();
+
+		// stop the watcher
+		if (this.stopWatch) {
+			this.stopWatch();
+			this.stopWatch = null;
+		}
+
+		// stop getting our history
+		while (this.historyWatchers > 0)
+			this.unwatchHistory();
+
+		// let go of the shared socket, which closes once nobody is using it
+		if (this.connection) {
+			this.connection.unsubscribe(this);
+			this.connection = null;
+		}
+
+		// we won't hear about our writes anymore
+		this.pendingWrites = [];
+		for (const id of [...this.writeWaiters.keys()])
+			this.settleWrite(id, 'disposed');
+	}
+
+}
+
+
+/**
+ * Class to keep a collection of every key matching a pattern synced with the server
+ */
+class SocketCollectionState {
+
+	/**
+	 * Create a new SocketCollectionState
+	 * 
+	 * @param {WeakRef} weakEntries - WeakRef to the reactive object to keep the values in
+	 * @param {String} pattern - The key pattern
+	 * @param {SocketConnection} connection - The shared connection to the server
+	 */
+	constructor(weakEntries, pattern, connection) {
+
+		this.weakEntries = weakEntries;
+		this.pattern = pattern;
+
+		// the timestamp & version of each key's value, so we only take newer ones
+		this.meta = new Map(); // key => { timestamp, version }
+		this.useVersions = false;
+
+		this.connection = connection;
+		this.connection.subscribeCollection(this);
+	}
+
+
+	/**
+	 * Handle a message from the server (or from a ref on the same connection) for a matching key
+	 * 
+	 * @param {Object} msg - The parsed message
+	 */
+	handleMessage(msg) {
+
+		const entries = this.weakEntries.deref();
+		if (!entries)
+			return;
+
+		// everything that matches right now, which replaces whatever we had
+		if (msg.type === 'snapshot') {
+			this.useVersions = (msg.ordering === 'version');
+			for (const key of Object.keys(entries)) {
+				if (!(key in msg.entries))
+					delete entries[key];
+			}
+			this.meta.clear();
+			for (const [key, entry] of Object.entries(msg.entries))
+				this.setEntry(entries, key, entry);
+			return;
+		}
+
+		// the server forgot a key
+		if (msg.type === 'delete') {
+			delete entries[msg.key];
+			this.meta.delete(msg.key);
+			return;
+		}
+
+		// otherwise we only care about new values
+		if (msg.type !== undefined && msg.type !== 'update')
+			return;
+
+		// other refs on our socket always have the latest value
+		const meta = this.meta.get(msg.key);
+		const newer = !meta || msg.local || (this.useVersions ? msg.version > meta.version : msg.timestamp > meta.timestamp);
+		if (newer)
+			this.setEntry(entries, msg.key, msg);
+	}
+
+
+	/**
+	 * Take a key's value (and timestamp & version) from a message
+	 * 
+	 * @param {Object} entries - The reactive object with the values
+	 * @param {String} key - The key
+	 * @param {Object} entry - The message or snapshot entry with the value
+	 */
+	setEntry(entries, key, entry) {
+		this.meta.set(key, { timestamp: entry.timestamp || 0, version: entry.version || 0 });
+		entries[key] = entry.value;
+	}
+
+
+	/**
+	 * Let go of the shared socket, once the collection is no longer used
+	 */
+	cleanup() {
+		registry.unregister(this);
+		if (this.connection) {
+			this.connection.unsubscribeCollection(this);
+			this.connection = null;
+		}
+	}
+
+}
+
+
+/**
+ * Make an Error for a failed callSocket call
+ * 
+ * @param {String} message - What went wrong
+ * @param {String} code - OPTIONAL; a code to tell failures apart, i.e. 'timeout'
+ * @returns {Error} - The error
+ */
+function makeCallError(message, code) {
+	const err = new Error(`SocketRef: ${message}`);
+	err.code = code;
+	return err;
+}
+
+
+/**
+ * Make a deep copy of a value, without any of vue's reactive proxies
+ * 
+ * Keeps the types codecs other than JSON can send (see codecs.js), i.e. Dates, Maps & typed arrays.
+ * 
+ * @param {*} value - The value to copy
+ * @returns {*} - The copy
+ */
+function cloneValue(value) {
+
+	if (value === null || typeof value !== 'object')
+		return value;
+
+	value = toRaw(value);
+
+	if (Array.isArray(value))
+		return value.map(cloneValue);
+	if (value instanceof Date)
+		return new Date(value.getTime());
+	if (value instanceof Map)
+		return new Map([...value].map(([key, item]) => [cloneValue(key), cloneValue(item)]));
+	if (value instanceof Set)
+		return new Set([...value].map(cloneValue));
+	if (value instanceof ArrayBuffer)
+		return value.slice(0);
+	if (ArrayBuffer.isView(value))
+		return (value instanceof DataView) ? new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)) : value.slice();
+
+	const copy = {};
+	for (const key of Object.keys(value))
+		copy[key] = cloneValue(value[key]);
+	return copy;
+}
+
+
+/**
+ * Run a function after a rate limiter's delay
+ * 
+ * @param {Number|String} delay - ms to wait, or 'frame' for the next animation frame (or about that long, without one)
+ * @param {Function} fn - The function to run
+ * @returns {Function} - Call to cancel it
+ */
+function scheduleFlush(delay, fn) {
+
+	if (delay === 'frame' && typeof requestAnimationFrame === 'function') {
+		const frame = requestAnimationFrame(fn);
+		return () => cancelAnimationFrame(frame);
+	}
+
+	const timer = setTimeout(fn, delay === 'frame' ? 16 : delay);
+	return () => clearTimeout(timer);
+}
@@ -10,101 +10,1673 @@
 // our server
 import { WebSocketServer } from 'ws';
 
+// node libs
+import { EventEmitter } from 'events';
+
+// for applying patches clients send for object values
+import { applyPatch } from './jsonPatch.js';
+
+// for checking the values clients write
+import { validateValue } from './schema.js';
+import { findByKey, matchKey, isValidPattern } from './keyPatterns.js';
+
+// for limiting how many messages each connection sends
+import { createRateLimiter } from './rateLimit.js';
+
+// for encoding messages, JSON unless a client asks for something else
+import { jsonCodec, binaryCodec } from './codecs.js';
+
+// for agreeing on a protocol version & features with each client
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, FEATURES, negotiate } from './protocol.js';
+
+// built-in storage adapters, re-exported so they're available from the server entry
+export { memoryStore, jsonFileStore } from './socketRefStores.js';
+
+// and the built-in codecs, for passing to options.codecs
+export { jsonCodec, binaryCodec };
+
+// the longest setTimeout can wait, longer delays fire right away
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
 /**
  * Creates a WebSocket server that can be used with socketRefClient.js
  * 
  * @param {Object} options - OPTIONAL; settings for the server
- * @returns {WebSocketServer} - The WebSocketServer instance
+ * @param {Number} options.port - OPTIONAL; port to listen on, defaults to 3001
+ * @param {Object} options.server - OPTIONAL; existing http server to share, we only take its upgrades on our path & leave the rest alone
+ * @param {Boolean} options.noServer - OPTIONAL; don't listen or attach to anything, pass upgrades in with handleUpgrade (or attach) instead
+ * @param {String} options.path - OPTIONAL; only take connections on this path or under it, i.e. '/sync' takes ws://host:port/sync/team-a
+ *                                but not ws://host:port/hmr. Defaults to every path
+ * @param {Object|Function} options.store - OPTIONAL; storage adapter to load & save values with, see socketRefStores.js.
+ *                                          A plain store is used for the default room, or pass (roomName) => store for every room
+ * @param {Function} options.room - OPTIONAL; (request, context) => the room a connection joins,
+ *                                  defaults to the path it connected on after options.path, i.e. ws://host:port/sync/team-a joins 'team-a'
+ * @param {Function} options.authenticate - OPTIONAL; (request, credentials) => context or falsy to refuse the connection, may be async
+ * @param {Function} options.canRead - OPTIONAL; (key, context) => true if the connection may read the key
+ * @param {Function} options.canWrite - OPTIONAL; (key, context) => true if the connection may write the key
+ * @param {Object|Map} options.validate - OPTIONAL; validators for values clients write, by key or key pattern (i.e. 'sliders.*'),
+ *                                       each a schema or a function, see schema.js
+ * @param {Function} options.canEmit - OPTIONAL; (eventName, context) => true if the connection may send the event, see socketEvent
+ * @param {Object|Map} options.ttl - OPTIONAL; ms until keys expire after their last write, by key or key pattern (i.e. 'cursor.*').
+ *                                  Clients can ask for a shorter TTL on their writes, but never a longer one
+ * @param {Number|Object|Map} options.history - OPTIONAL; how many past values to keep per key for undo & redo,
+ *                                              or counts by key or key pattern. Off by default, and not saved to the store
+ * @param {String} options.ordering - OPTIONAL; 'timestamp' (default) to keep the write with the newest client timestamp,
+ *                                    or 'version' to number writes as we accept them and reject writes based on an old version
+ * @param {Array<Object>} options.codecs - OPTIONAL; codecs clients may ask for besides JSON, see codecs.js. Defaults to [binaryCodec]
+ * @param {Number|Object} options.rateLimit - OPTIONAL; writes, events & calls each connection may send per second,
+ *                                            or { max, interval, pause } to send max per interval ms, and refuse everything for pause ms after.
+ *                                            Writes over the limit are rejected with reason 'rate-limited'. Off by default
+ * @returns {EventEmitter} - controller with get, set, delete, keys, history, undo, redo, handle, room, rooms, disposeRoom,
+ *                          handleUpgrade, attach, middleware & close,
+ *                          that emits 'change', 'delete', 'presence', 'event' & 'rateLimit' events
  */
 export function socketRefServer(options = {}) {
 
 	// handle options or defaults
 	const port = options.port || 3001;
 	let server = options.server || null;
+	const noServer = !!options.noServer;
+	const basePath = normalizePath(options.path);
+	const storeOption = options.store || null;
+	const resolveRoom = options.room || ((request) => roomFromPath(request, basePath));
+	const authenticate = options.authenticate || null;
+	const canRead = options.canRead || (() => true);
+	const canWrite = options.canWrite || (() => true);
+	const canEmit = options.canEmit || (() => true);
+	const useVersions = options.ordering === 'version';
+	const validators = options.validate || null;
+	const ttls = options.ttl || null;
+	const historyLimits = options.history || 0;
+	const rateLimit = (typeof options.rateLimit === 'number') ? { max: options.rateLimit, interval: 1000 } : (options.rateLimit || null);
+	const codecs = new Map([jsonCodec, ...(options.codecs || [binaryCodec])].map((codec) => [codec.name, codec]));
 	let wss;
 
+	// servers we've added our upgrade listener to => the listener, so close() can take them off again
+	const attachedServers = new Map();
+
 	// create the server (or attach to an existing one)
-	if (server) {
-		wss = new WebSocketServer({ server });
+	// when we share a server we handle upgrades ourselves, since ws would refuse the ones that aren't ours
+	if (noServer) {
+		wss = new WebSocketServer({ noServer: true });
+	} else if (server) {
+		wss = new WebSocketServer({ noServer: true });
+		attach(server);
 	} else {
 		wss = new WebSocketServer({ port });
-		console.log(`socketRefServer listening on ws://localhost:${port}`);
+		console.log(`socketRefServer listening on ws://localhost:${port}${basePath}`);
+	}
+
+	// only take connections on our path (the port is ours alone, so ws can refuse the rest)
+	wss.shouldHandle = onPath;
+
+	// each room has its own keys, so different groups of clients can use the same key names
+	const roomMap = new Map(); // room name => { name, keyStateMap, history, historySubscribers, clients, subscribers, patternClients, eventSubscribers, expiryTimers, presenceTimer, store, loaded }
+
+	// keep track of each connected socket & what we know about it
+	const clientMap = new Map(); // socket => { id, socket, request, context, authenticated, refused, room, keys, patterns, events, histories, presence, watchingPresence, limiter, protocol, features, codec, queue }
+
+	// ids for clients, so they can tell each other apart in presence lists
+	let lastClientId = 0;
+
+	// functions clients can call with callSocket
+	const callHandlers = new Map(); // name => async (args, ctx) => result
+
+	// the messages that count against a connection's rate limit
+	const limitedTypes = new Set(['update', 'patch', 'delete', 'undo', 'redo', 'event', 'call']);
+
+	// the default room is where clients go when they don't ask for one
+	const defaultRoom = getRoom('');
+
+	// make sure buffered writes hit the store when we shut down
+	// (and stop waiting to expire keys)
+	wss.on('close', () => {
+		for (const room of roomMap.values()) {
+			clearExpiries(room);
+			clearTimeout(room.presenceTimer);
+			flushRoom(room);
+		}
+	});
+
+
+	/**
+	 * Get a room, making it if it doesn't exist yet
+	 * 
+	 * A new room loads its saved state before any of its clients' messages are handled,
+	 * so clients don't re-seed their defaults.
+	 * 
+	 * @param {String} name - The room name
+	 * @returns {Object} - The room
+	 */
+	function getRoom(name) {
+
+		let room = roomMap.get(name);
+		if (room)
+			return room;
+
+		// a plain store only belongs to the default room
+		const store = (typeof storeOption === 'function') ? storeOption(name) : (name === '' ? storeOption : null);
+
+		room = {
+			name,
+			keyStateMap: new Map(), // key => { value, timestamp, version }
+			history: new Map(), // key => { entries: [{ value, timestamp, clientId }], index }
+			historySubscribers: new Map(), // key => Set of clients watching its history
+			clients: new Set(),
+			subscribers: new Map(), // key => Set of clients that have init-ed it
+			patternClients: new Set(), // clients subscribed to any key patterns
+			eventSubscribers: new Map(), // event name => Set of clients listening for it
+			expiryTimers: new Map(), // key => timer for when it expires
+			presenceTimer: null, // set while a presence broadcast is waiting to go out
+			store,
+			written: new Set(), // keys written or deleted while the store was loading, null once it's loaded
+		};
+
+		// (anything written while we wait is newer than what the store has, so it wins)
+		room.loaded = Promise.resolve(store ? store.load() : null)
+			.then((entries) => {
+				const list = (entries instanceof Map) ? entries : Object.entries(entries || {});
+				for (const [key, entry] of list) {
+					if (room.written.has(key))
+						continue;
+					room.keyStateMap.set(key, entry);
+					scheduleExpiry(room, key, entry);
+				}
+			})
+			.catch((err) => console.error(`socketRefServer: failed to load store for room "${name}"`, err))
+			.then(() => { room.written = null; });
+
+		roomMap.set(name, room);
+		return room;
+	}
+
+
+	/**
+	 * Write out anything a room's store is still holding on to
+	 * 
+	 * @param {Object} room - The room
+	 */
+	function flushRoom(room) {
+		if (room.store && room.store.flush)
+			room.store.flush();
+	}
+
+
+	/**
+	 * Put a client in the room it asked for
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @returns {Promise} - Resolves once the room has loaded
+	 */
+	function joinRoom(client) {
+
+		let name = '';
+		try {
+			name = resolveRoom(client.request, client.context) || '';
+		} catch (err) {
+			console.warn('socketRefServer: room resolver threw', err);
+		}
+
+		client.room = getRoom(String(name));
+		client.room.clients.add(client);
+		schedulePresence(client.room);
+		return client.room.loaded;
+	}
+
+
+	/**
+	 * Start sending a client updates for a key
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} key - The socketRef state key
+	 */
+	function subscribe(client, key) {
+
+		let subscribers = client.room.subscribers.get(key);
+		if (!subscribers) {
+			subscribers = new Set();
+			client.room.subscribers.set(key, subscribers);
+		}
+		subscribers.add(client);
+		client.keys.add(key);
+		schedulePresence(client.room);
+	}
+
+
+	/**
+	 * Stop sending a client updates for a key
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} key - The socketRef state key
+	 */
+	function unsubscribe(client, key) {
+
+		client.keys.delete(key);
+		if (client.room)
+			schedulePresence(client.room);
+
+		const subscribers = client.room?.subscribers.get(key);
+		if (!subscribers)
+			return;
+		subscribers.delete(client);
+		if (subscribers.size === 0)
+			client.room.subscribers.delete(key);
+	}
+
+
+	/**
+	 * Start or stop sending a client an event
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} name - The event name
+	 * @param {Boolean} listening - true to start, false to stop
+	 */
+	function listenForEvent(client, name, listening) {
+
+		const eventSubscribers = client.room.eventSubscribers;
+		let listeners = eventSubscribers.get(name);
+
+		if (listening) {
+			if (!listeners) {
+				listeners = new Set();
+				eventSubscribers.set(name, listeners);
+			}
+			listeners.add(client);
+			client.events.add(name);
+			return;
+		}
+
+		client.events.delete(name);
+		if (!listeners)
+			return;
+		listeners.delete(client);
+		if (listeners.size === 0)
+			eventSubscribers.delete(name);
+	}
+
+
+	/**
+	 * Send a message to a client, in the codec it asked for
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The message
+	 * @param {Map} encoded - OPTIONAL; the message already encoded by codec name, when it's going to many clients
+	 */
+	function sendTo(client, msg, encoded = null) {
+
+		const socket = client.socket;
+		if (socket.readyState !== socket.OPEN)
+			return;
+
+		const codec = client.codec;
+		let data = encoded ? encoded.get(codec.name) : undefined;
+		if (data === undefined) {
+			data = codec.encode(msg);
+			if (encoded)
+				encoded.set(codec.name, data);
+		}
+		socket.send(data);
+	}
+
+
+	/**
+	 * Send an event to everyone in a room listening for it
+	 * 
+	 * Events are never saved, clients that aren't connected just miss them.
+	 * 
+	 * @param {Object} room - The room
+	 * @param {String} name - The event name
+	 * @param {*} payload - The event payload
+	 * @param {Object} sender - OPTIONAL; the client info from clientMap for who sent it, who doesn't get it back
+	 */
+	function sendEvent(room, name, payload, sender = null) {
+
+		const message = { type: 'event', name, payload, from: sender ? sender.id : null };
+		const encoded = new Map();
+		for (const client of room.eventSubscribers.get(name) || []) {
+			if (client !== sender && client.authenticated)
+				sendTo(client, message, encoded);
+		}
+
+		controller.emit('event', name, payload, { source: sender ? 'client' : 'server', context: sender ? sender.context : undefined, room: room.name });
+	}
+
+
+	/**
+	 * Run a function a client called, and send it the result or the error
+	 * 
+	 * Calls run alongside the client's other messages, so a slow one doesn't hold up its syncing.
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The call message, { id, name, args }
+	 */
+	function handleCall(client, msg) {
+
+		const reply = (fields) => sendTo(client, { type: 'result', id: msg.id, ...fields });
+
+		const handler = callHandlers.get(msg.name);
+		if (!handler) {
+			reply({ error: { message: `No handler for "${msg.name}"`, code: 'not-found' } });
+			return;
+		}
+
+		// handlers get the connection's auth context, so they can check who's calling
+		const ctx = { context: client.context, room: client.room.name, clientId: client.id };
+
+		Promise.resolve()
+			.then(() => handler(msg.args, ctx))
+			.then((value) => reply({ value }))
+			.catch((err) => reply({ error: { message: err?.message || String(err), code: err?.code } }));
+	}
+
+
+	/**
+	 * Get the presence list for a room, as one client should see it
+	 * 
+	 * @param {Object} room - The room
+	 * @param {Object} viewer - OPTIONAL; the client info from clientMap for who it's for, so we only list keys they can read
+	 * @returns {Array<Object>} - { id, presence, keys } for each client in the room
+	 */
+	function presenceList(room, viewer = null) {
+
+		const members = [];
+		for (const client of room.clients) {
+			if (!client.authenticated)
+				continue;
+			const keys = [...client.keys].filter((key) => !viewer || canRead(key, viewer.context));
+			members.push({ id: client.id, presence: client.presence, keys });
+		}
+		return members;
+	}
+
+
+	/**
+	 * Send the presence list to everyone in a room who wants it, soon
+	 * 
+	 * Changes that happen together (like a client init-ing all its keys) go out as one update.
+	 * 
+	 * @param {Object} room - The room
+	 */
+	function schedulePresence(room) {
+
+		if (room.presenceTimer)
+			return;
+
+		room.presenceTimer = setTimeout(() => {
+			room.presenceTimer = null;
+
+			for (const client of room.clients) {
+				if (client.watchingPresence)
+					sendPresence(client);
+			}
+			controller.emit('presence', room.name, presenceList(room));
+		}, 0);
+	}
+
+
+	/**
+	 * Send a client the presence list for its room
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 */
+	function sendPresence(client) {
+		sendTo(client, { type: 'presence', you: client.id, members: presenceList(client.room, client) });
+	}
+
+
+	/**
+	 * Subscribe a client to every key matching a pattern, and send it all the ones we have now
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} pattern - The key pattern, i.e. 'player.*', see keyPatterns.js
+	 */
+	function subscribePattern(client, pattern) {
+
+		client.patterns.add(pattern);
+		client.room.patternClients.add(client);
+
+		const entries = {};
+		for (const [key, entry] of client.room.keyStateMap) {
+			if (matchKey(pattern, key) && canRead(key, client.context))
+				entries[key] = withOrdering({ value: entry.value }, entry);
+		}
+
+		sendTo(client, { type: 'snapshot', pattern, ordering: useVersions ? 'version' : 'timestamp', entries });
+	}
+
+
+	/**
+	 * Stop sending a client the keys matching a pattern
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} pattern - The key pattern
+	 */
+	function unsubscribePattern(client, pattern) {
+
+		client.patterns.delete(pattern);
+		if (client.patterns.size === 0 && client.room)
+			client.room.patternClients.delete(client);
+	}
+
+
+	/**
+	 * Save a key's new state, write it through to the room's store if it has one, and emit a change event
+	 * 
+	 * If the key has a TTL, it expires that long after this write.
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key to save
+	 * @param {Object} entry - The { value, timestamp, version } to save
+	 * @param {Object} meta - Where the change came from, { source: 'client'|'server'|'undo'|'redo', context, clientId }
+	 * @param {Number} ttl - OPTIONAL; ms until the key expires, instead of the one from options.ttl
+	 */
+	function saveState(room, key, entry, meta, ttl) {
+
+		// undo & redo move through the history instead of adding to it
+		if (meta.source !== 'undo' && meta.source !== 'redo')
+			recordHistory(room, key, entry, meta.clientId);
+
+		if (!(ttl > 0))
+			ttl = findByKey(ttls, key);
+		if (ttl > 0)
+			entry.expiresAt = Date.now() + ttl;
+
+		room.keyStateMap.set(key, entry);
+		scheduleExpiry(room, key, entry);
+		room.written?.add(key);
+
+		// (stores only hear about writes once they've loaded, so loading can't undo them)
+		if (room.store) {
+			room.loaded
+				.then(() => room.store.save(key, entry))
+				.catch((err) => console.error(`socketRefServer: failed to save "${key}"`, err));
+		}
+
+		controller.emit('change', key, entry.value, { ...meta, room: room.name, timestamp: entry.timestamp });
+	}
+
+
+	/**
+	 * Forget a key, and tell everyone who has it to go back to their default value
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key to delete
+	 * @param {Object} meta - Why it was deleted, { source: 'client'|'server'|'ttl', context }
+	 * @param {WebSocket} excludeSocket - OPTIONAL; The socket to exclude from the broadcast
+	 * @returns {Boolean} - true if the key existed
+	 */
+	function deleteKey(room, key, meta, excludeSocket = null) {
+
+		// a key we haven't loaded yet might be in the store, so make sure it stays deleted
+		if (room.written && !room.keyStateMap.has(key)) {
+			room.written.add(key);
+			forgetStored(room, key);
+		}
+
+		const existing = room.keyStateMap.get(key);
+		if (!existing)
+			return false;
+
+		room.keyStateMap.delete(key);
+		clearTimeout(room.expiryTimers.get(key));
+		room.expiryTimers.delete(key);
+
+		// there's nothing to undo back to once the key's gone
+		if (room.history.delete(key))
+			sendHistory(room, key);
+
+		forgetStored(room, key);
+
+		// the tombstone is newer than the value it replaces, so clients with a newer write can ignore it
+		const timestamp = Math.max(Date.now(), existing.timestamp + 1);
+		broadcastMessage(room, { type: 'delete', key, timestamp }, excludeSocket);
+
+		controller.emit('delete', key, { ...meta, room: room.name, timestamp });
+		return true;
+	}
+
+
+	/**
+	 * Delete a key from a room's store, once it's loaded
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 */
+	function forgetStored(room, key) {
+		if (room.store && room.store.delete) {
+			room.loaded
+				.then(() => room.store.delete(key))
+				.catch((err) => console.error(`socketRefServer: failed to delete "${key}"`, err));
+		}
+	}
+
+
+	/**
+	 * Add a key's new value to its history, if we keep history for it
+	 * 
+	 * Anything that was undone can't be redone after a new value.
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 * @param {Object} entry - The key's new { value, timestamp, version }
+	 * @param {Number} clientId - OPTIONAL; the client that wrote it, or undefined for the server
+	 */
+	function recordHistory(room, key, entry, clientId) {
+
+		const limit = (typeof historyLimits === 'number') ? historyLimits : (findByKey(historyLimits, key) || 0);
+		if (limit <= 0)
+			return;
+
+		let history = room.history.get(key);
+		if (!history) {
+			history = { entries: [], index: -1 };
+			room.history.set(key, history);
+		}
+
+		history.entries.splice(history.index + 1);
+		history.entries.push({ value: entry.value, timestamp: entry.timestamp, clientId: clientId ?? null });
+		if (history.entries.length > limit)
+			history.entries.splice(0, history.entries.length - limit);
+		history.index = history.entries.length - 1;
+
+		sendHistory(room, key);
+	}
+
+
+	/**
+	 * Move a key back or forward through its history, writing that value like any other write
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 * @param {String} direction - 'undo' or 'redo'
+	 * @param {Object} meta - Who asked, { context, clientId }
+	 * @returns {Object|null} - The key's new { value, timestamp, version }, or null if there's nothing to undo or redo
+	 */
+	function stepHistory(room, key, direction, meta = {}) {
+
+		const history = room.history.get(key);
+		const index = history ? history.index + (direction === 'undo' ? -1 : 1) : -1;
+		if (index < 0 || index >= history.entries.length)
+			return null;
+		history.index = index;
+
+		// (it's a new write, so it has to win over the current value)
+		const existing = room.keyStateMap.get(key);
+		const timestamp = existing ? Math.max(Date.now(), existing.timestamp + 1) : Date.now();
+		const entry = { value: history.entries[index].value, timestamp, version: nextVersion(existing) };
+
+		saveState(room, key, entry, { ...meta, source: direction });
+		broadcast(room, key, entry);
+		sendHistory(room, key);
+		return entry;
+	}
+
+
+	/**
+	 * Get a key's history, as we send it to clients
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 * @returns {Object} - { entries: [{ value, timestamp, clientId }], index }, where index is the current value's entry
+	 */
+	function historyOf(room, key) {
+		const history = room.history.get(key);
+		return history ? { entries: [...history.entries], index: history.index } : { entries: [], index: -1 };
+	}
+
+
+	/**
+	 * Send a key's history to every client in its room watching it
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 */
+	function sendHistory(room, key) {
+
+		const watchers = room.historySubscribers.get(key);
+		if (!watchers)
+			return;
+
+		const message = { type: 'history', key, ...historyOf(room, key) };
+		const encoded = new Map();
+		for (const client of watchers) {
+			if (canRead(key, client.context))
+				sendTo(client, message, encoded);
+		}
+	}
+
+
+	/**
+	 * Start or stop sending a client a key's history
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String} key - The socketRef state key
+	 * @param {Boolean} watching - true to start, false to stop
+	 */
+	function watchHistory(client, key, watching) {
+
+		const historySubscribers = client.room.historySubscribers;
+		let watchers = historySubscribers.get(key);
+
+		if (watching) {
+			if (!watchers) {
+				watchers = new Set();
+				historySubscribers.set(key, watchers);
+			}
+			watchers.add(client);
+			client.histories.add(key);
+			sendTo(client, { type: 'history', key, ...historyOf(client.room, key) });
+			return;
+		}
+
+		client.histories.delete(key);
+		if (!watchers)
+			return;
+		watchers.delete(client);
+		if (watchers.size === 0)
+			historySubscribers.delete(key);
+	}
+
+
+	/**
+	 * Start waiting to expire a key, if it has an expiry time
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {String} key - The socketRef state key
+	 * @param {Object} entry - The key's { value, timestamp, version, expiresAt }
+	 */
+	function scheduleExpiry(room, key, entry) {
+
+		clearTimeout(room.expiryTimers.get(key));
+		room.expiryTimers.delete(key);
+		if (!entry.expiresAt)
+			return;
+
+		// (timers can't wait more than about 24.8 days, so longer TTLs wait in steps)
+		const timer = setTimeout(() => {
+			room.expiryTimers.delete(key);
+			if (room.keyStateMap.get(key) !== entry)
+				return;
+			if (Date.now() < entry.expiresAt)
+				scheduleExpiry(room, key, entry);
+			else
+				deleteKey(room, key, { source: 'ttl' });
+		}, Math.min(Math.max(0, entry.expiresAt - Date.now()), MAX_TIMER_DELAY));
+
+		// expiring keys shouldn't keep the process alive
+		if (timer.unref)
+			timer.unref();
+		room.expiryTimers.set(key, timer);
+	}
+
+
+	/**
+	 * Check the TTL a client asked for on a write
+	 * 
+	 * Clients can only shorten the TTL from options.ttl (or set one if there isn't one), never lengthen it.
+	 * 
+	 * @param {Object} msg - The client's write message, with the ttl it asked for
+	 * @returns {Number|undefined} - ms until the key expires, or undefined to use options.ttl
+	 */
+	function clientTtl(msg) {
+
+		const ttl = msg.ttl;
+		if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0)
+			return undefined;
+
+		const configured = findByKey(ttls, msg.key);
+		return (configured > 0) ? Math.min(ttl, configured) : ttl;
+	}
+
+
+	/**
+	 * Stop waiting to expire any of a room's keys
+	 * 
+	 * @param {Object} room - The room
+	 */
+	function clearExpiries(room) {
+		for (const timer of room.expiryTimers.values())
+			clearTimeout(timer);
+		room.expiryTimers.clear();
 	}
 
-	// keep track of the state of each socketRef key we've seen
-	const keyStateMap = new Map(); // key => { value, timestamp }
+
+	/**
+	 * Get the version that comes after a key's current state
+	 * 
+	 * @param {Object} existing - The key's current { value, timestamp, version }, if it has one
+	 * @returns {Number} - The next version
+	 */
+	function nextVersion(existing) {
+		return existing ? (existing.version || 0) + 1 : 1;
+	}
 
 
 	/**
-	 * Broadcast a message to all clients
+	 * Add the ordering fields for a key's state to a message, the version or the timestamp
 	 * 
+	 * @param {Object} msg - The message to add to
+	 * @param {Object} entry - The key's { value, timestamp, version }, if it has one
+	 * @returns {Object} - The message
+	 */
+	function withOrdering(msg, entry) {
+
+		if (useVersions)
+			msg.version = entry ? (entry.version || 0) : 0;
+		else
+			msg.timestamp = entry ? entry.timestamp : Date.now();
+
+		return msg;
+	}
+
+
+	/**
+	 * Broadcast a key's state to all clients in its room
+	 * 
+	 * @param {Object} room - The room the key is in
 	 * @param {String} key - The socketRef state key to broadcast
-	 * @param {String} value - The value of the socketRef state
-	 * @param {number} timestamp - The timestamp of the socketRef state	
+	 * @param {Object} entry - The { value, timestamp, version } of the socketRef state
+	 * @param {WebSocket} excludeSocket - OPTIONAL; The socket to exclude from the broadcast
+	 */
+	function broadcast(room, key, entry, excludeSocket = null) {
+
+		const msg = { type: 'update', key, value: entry.value, timestamp: entry.timestamp };
+		if (useVersions)
+			msg.version = entry.version;
+
+		broadcastMessage(room, msg, excludeSocket);
+	}
+
+
+	/**
+	 * Broadcast any message for a key to the clients in the room that have init-ed it, or subscribed
+	 * to a matching pattern, and may read it
+	 * 
+	 * @param {Object} room - The room the key is in
+	 * @param {Object} msg - The message to broadcast
 	 * @param {WebSocket} excludeSocket - OPTIONAL; The socket to exclude from the broadcast
+	 * @param {Object} patternMsg - OPTIONAL; message to send pattern subscribers (and clients that don't take patches) instead,
+	 *                              i.e. the whole value instead of a patch
 	 */
-	function broadcast(key, value, timestamp, excludeSocket = null) {
+	function broadcastMessage(room, msg, excludeSocket = null, patternMsg = msg) {
+
+		// each client gets the message once, pattern subscribers get the pattern version
+		const recipients = new Map(); // client => message
+		for (const client of room.subscribers.get(msg.key) || [])
+			recipients.set(client, client.features.has('patches') ? msg : patternMsg);
+		for (const client of room.patternClients) {
+			if ([...client.patterns].some((pattern) => matchKey(pattern, msg.key)))
+				recipients.set(client, patternMsg);
+		}
 
-		const message = JSON.stringify({ key, value, timestamp });
-		for (const client of wss.clients) {
-			if (client !== excludeSocket && client.readyState === client.OPEN) {
-				client.send(message);
+		const messages = new Map(); // message => Map of codec name => encoded message
+		for (const [client, clientMsg] of recipients) {
+			if (client.socket !== excludeSocket && client.authenticated && canRead(msg.key, client.context)) {
+				if (!messages.has(clientMsg))
+					messages.set(clientMsg, new Map());
+				sendTo(client, clientMsg, messages.get(clientMsg));
 			}
 		}// next client
 	}
-	
-	
-	// handle incoming connections
-	wss.on('connection', (socket) => {
 
-		// handle incoming messages
-		socket.on('message', (data) => {
-
-			// parse the message
-			let msg;
-			try {
-				msg = JSON.parse(data);
-			} catch (err) {
-				console.warn('Invalid message received:', data);
+
+	/**
+	 * Tell a client we didn't accept its message for a key
+	 * 
+	 * If the client is allowed to read the key, we include the current value so it can fix its copy.
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The message we're rejecting
+	 * @param {String} reason - Why it was rejected, i.e. 'forbidden', 'stale' or 'invalid'
+	 * @param {String} error - OPTIONAL; more about what was wrong, i.e. the validation error
+	 */
+	function reject(client, msg, reason, error) {
+
+		const { key, id } = msg;
+		const op = msg.type || 'update';
+		const reply = { type: 'reject', id, op, key, reason };
+		if (error)
+			reply.error = error;
+
+		const existing = client.room.keyStateMap.get(key);
+		if (existing && op !== 'init' && canRead(key, client.context)) {
+			reply.value = existing.value;
+			reply.timestamp = existing.timestamp;
+			if (useVersions)
+				reply.version = existing.version || 0;
+		}
+
+		sendTo(client, reply);
+	}
+
+
+	/**
+	 * Refuse a message from a client that's over its rate limit
+	 * 
+	 * Writes are rejected and calls fail, so the client hears about it, but events are just dropped.
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The message we're refusing
+	 * @param {String} type - The message type
+	 * @param {Boolean} started - true if this is the first message we've refused since the client was last under its limit
+	 */
+	function refuseOverLimit(client, msg, type, started) {
+
+		if (started)
+			controller.emit('rateLimit', { clientId: client.id, context: client.context, room: client.room.name, type });
+
+		if (type === 'call') {
+			sendTo(client, { type: 'result', id: msg.id, error: { message: 'Rate limit exceeded', code: 'rate-limited' } });
+			return;
+		}
+
+		if (type !== 'event' && msg.key)
+			reject(client, msg, 'rate-limited');
+	}
+
+
+	/**
+	 * Ask a client to send the whole value, because we can't apply its patch
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The patch message
+	 */
+	function resync(client, msg) {
+		sendTo(client, { type: 'resync', id: msg.id, key: msg.key });
+	}
+
+
+	/**
+	 * Answer a client's hello with the protocol & features we'll use, and the codec we picked
+	 * 
+	 * We answer in JSON, then switch to the codec. If we can't talk to the client at all we tell it why and hang up.
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The client's hello message
+	 */
+	function sayHello(client, msg) {
+
+		const agreed = negotiate(msg);
+		if (agreed.error) {
+			console.warn('socketRefServer: refused a client:', agreed.error);
+			sendTo(client, { type: 'error', reason: 'incompatible', message: agreed.error });
+			client.socket.close(4426, 'incompatible');
+			return;
+		}
+
+		client.protocol = agreed.protocol;
+		client.features = agreed.features;
+
+		const names = (client.features.has('codecs') && Array.isArray(msg.codecs)) ? msg.codecs : [];
+		const codec = codecs.get(names.find((name) => codecs.has(name))) || jsonCodec;
+
+		sendTo(client, {
+			type: 'hello',
+			protocol: PROTOCOL_VERSION,
+			minProtocol: MIN_PROTOCOL_VERSION,
+			features: FEATURES,
+			codec: codec.name,
+		});
+		client.codec = codec;
+	}
+
+
+	/**
+	 * Check a client's credentials, closing its socket if they're refused
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {*} credentials - The credentials from the client's auth message, if it sent one
+	 * @returns {Promise<Boolean>} - true if the client may continue
+	 */
+	async function authenticateClient(client, credentials) {
+
+		let context = null;
+		try {
+			context = await authenticate(client.request, credentials);
+		} catch (err) {
+			console.warn('socketRefServer: authenticate threw', err);
+		}
+
+		if (!context) {
+			client.refused = true;
+			sendTo(client, { type: 'error', reason: 'unauthorized' });
+			client.socket.close(4401, 'unauthorized');
+			return false;
+		}
+
+		client.context = (context === true) ? {} : context;
+		client.authenticated = true;
+		return true;
+	}
+
+
+	/**
+	 * Handle a message from a client
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {String|Buffer} data - The raw message
+	 * @param {Boolean} isBinary - OPTIONAL; true if it came as a binary frame
+	 */
+	async function handleMessage(client, data, isBinary = false) {
+
+		const socket = client.socket;
+
+		// (messages queued up behind a refused one are dropped, rather than asking authenticate again)
+		if (client.refused)
+			return;
+
+		// parse the message, text is JSON unless the client's codec is a text one
+		// (so clients can keep sending JSON until they hear which codec we picked)
+		let msg;
+		try {
+			const codec = (isBinary === !!client.codec.binary) ? client.codec : jsonCodec;
+			msg = codec.decode(isBinary ? data : String(data));
+		} catch (err) {
+			console.warn('Invalid message received:', data);
+			return;
+		}
+
+		// the client is telling us what it speaks, see protocol.js
+		if (msg.type === 'hello') {
+			sayHello(client, msg);
+			return;
+		}
+
+		// the first message decides if the client gets in, using its credentials if it's an auth message
+		// (once we know who they are, we know which room they're in)
+		if (!client.authenticated) {
+			const credentials = (msg.type === 'auth') ? msg.credentials : undefined;
+			if (!await authenticateClient(client, credentials))
+				return;
+			await joinRoom(client);
+			if (msg.type === 'auth')
+				return;
+		}
+
+		// break out the message, default type is update
+		const { type = 'update', key, value, timestamp } = msg;
+
+		// writes, events & calls count against the connection's rate limit
+		if (client.limiter && limitedTypes.has(type)) {
+			const decision = client.limiter.check(Date.now());
+			if (decision.action === 'drop') {
+				refuseOverLimit(client, msg, type, decision.started);
+				return;
+			}
+		}
+
+		// the client is calling one of our handlers
+		if (type === 'call') {
+			if (typeof msg.name === 'string')
+				handleCall(client, msg);
+			return;
+		}
+
+		// the client wants an event, or doesn't anymore
+		if (type === 'subscribeEvent' || type === 'unsubscribeEvent') {
+			if (typeof msg.name === 'string')
+				listenForEvent(client, msg.name, type === 'subscribeEvent');
+			return;
+		}
+
+		// the client is sending an event to everyone else listening for it
+		if (type === 'event') {
+			if (typeof msg.name === 'string' && canEmit(msg.name, client.context))
+				sendEvent(client.room, msg.name, msg.payload, client);
+			return;
+		}
+
+		// the client is telling us about itself, i.e. its name & color
+		if (type === 'presence') {
+			client.presence = (msg.state && typeof msg.state === 'object') ? msg.state : {};
+			schedulePresence(client.room);
+			return;
+		}
+
+		// the client wants to know who else is here, or doesn't anymore
+		if (type === 'subscribePresence' || type === 'unsubscribePresence') {
+			client.watchingPresence = (type === 'subscribePresence');
+			if (client.watchingPresence)
+				sendPresence(client);
+			return;
+		}
+
+		// the client wants every key matching a pattern, or doesn't anymore
+		if (type === 'subscribePattern' || type === 'unsubscribePattern') {
+			if (typeof msg.pattern !== 'string')
+				return;
+			if (type === 'unsubscribePattern')
+				unsubscribePattern(client, msg.pattern);
+			else if (isValidPattern(msg.pattern))
+				subscribePattern(client, msg.pattern);
+			return;
+		}
+
+		// if we don't have a key, ignore the message
+		if (!key) return;
+
+		// the client doesn't want updates for this key anymore
+		if (type === 'unsubscribe') {
+			unsubscribe(client, key);
+			return;
+		}
+
+		// handle init messages, when a client connects
+		if (type === 'init') {
+
+			if (!canRead(key, client.context)) {
+				reject(client, msg, 'forbidden');
 				return;
 			}
 
-			// break out the message, default type is update
-			const { type = 'update', key, value, timestamp } = msg;
+			// from now on they'll get updates for the key
+			subscribe(client, key);
 
-			// if we don't have a key, ignore the message
-			if (!key) return;
+			// send it's existing value if it has one, otherwise null
+			// along with its version or timestamp, depending on how we order writes
+			const existing = client.room.keyStateMap.get(key);
+			sendTo(client, withOrdering({
+				type: 'init',
+				key,
+				value: existing ? existing.value : null,
+			}, existing));
+			return;
+		}
 
-			// handle init messages, when a client connects
-			if (type === 'init') {
+		// everything else changes the key, so make sure they're allowed to
+		if ((type === 'update' || type === 'patch' || type === 'delete') && !canWrite(key, client.context)) {
+			reject(client, msg, 'forbidden');
+			return;
+		}
 
-				// send it's existing value if it has one, otherwise null
-				const existing = keyStateMap.get(key);
-				socket.send(JSON.stringify({
-					type: 'init',
-					key,
-					value: existing ? existing.value : null,
-					timestamp: existing ? existing.timestamp : Date.now()
-				}));
+		// the client wants a key's history, or doesn't anymore
+		if (type === 'subscribeHistory' || type === 'unsubscribeHistory') {
+			if (type === 'subscribeHistory' && !canRead(key, client.context)) {
+				reject(client, msg, 'forbidden');
 				return;
 			}
+			watchHistory(client, key, type === 'subscribeHistory');
+			return;
+		}
 
-			// handle update messages
-			if (type === 'update' && value !== undefined) {
-				const now = timestamp || Date.now();
-				const existing = keyStateMap.get(key);
+		// undo & redo change the key, so make sure they're allowed to
+		if ((type === 'undo' || type === 'redo') && !canWrite(key, client.context)) {
+			reject(client, msg, 'forbidden');
+			return;
+		}
 
-				// if we haven't seen this key before, or this update is newer, update the state
-				if (!existing || now > existing.timestamp) {
+		// handle undo & redo, which everyone (including the client that asked) gets as a normal update
+		if (type === 'undo' || type === 'redo') {
+			const entry = stepHistory(client.room, key, type, { context: client.context, clientId: client.id });
+			if (!entry) {
+				reject(client, msg, 'no-history');
+				return;
+			}
+			const ack = { type: 'ack', id: msg.id, key, timestamp: entry.timestamp };
+			if (useVersions)
+				ack.version = entry.version;
+			sendTo(client, ack);
+			return;
+		}
 
-					// save the new state and broadcast it to all clients
-					keyStateMap.set(key, { value, timestamp: now });
-					broadcast(key, value, now, socket);
-				}
+		// handle delete messages, acking them even if the key was already gone
+		if (type === 'delete') {
+			deleteKey(client.room, key, { source: 'client', context: client.context }, socket);
+			if (msg.id !== undefined)
+				sendTo(client, { type: 'ack', id: msg.id, key });
+			return;
+		}
+
+		// handle update messages
+		if (type === 'update' && value !== undefined) {
+			handleUpdate(client, msg);
+			return;
+		}
+
+		// handle patch messages, which change part of an object value
+		if (type === 'patch' && Array.isArray(msg.ops))
+			handlePatch(client, msg);
+	}
+
+
+	/**
+	 * Check a value a client is writing against the key's validator, rejecting the write if it fails
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The update or patch message
+	 * @param {*} value - The value the key would have
+	 * @returns {Object|null} - { value } with the value to save, which may be coerced, or null if we rejected it
+	 */
+	function validate(client, msg, value) {
+
+		const result = validateValue(findByKey(validators, msg.key), value, msg.key, client.context);
+		if (!result.valid) {
+			reject(client, msg, 'invalid', result.error);
+			return null;
+		}
+		return result;
+	}
+
+
+	/**
+	 * Handle an update message, which replaces a key's whole value
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The update message
+	 */
+	function handleUpdate(client, msg) {
+
+		const existing = client.room.keyStateMap.get(msg.key);
+
+		// when ordering by version, the write has to be based on our current version,
+		// otherwise it has to be newer than what we have
+		const now = msg.timestamp || Date.now();
+		const stale = !!existing && (useVersions
+			? (msg.baseVersion || 0) !== (existing.version || 0)
+			: now <= existing.timestamp);
+
+		if (stale) {
+			reject(client, msg, 'stale');
+			return;
+		}
+
+		const checked = validate(client, msg, msg.value);
+		if (!checked)
+			return;
+
+		// if we coerced it, the writer needs to hear what we saved
+		const entry = { value: checked.value, timestamp: useVersions ? Date.now() : now, version: nextVersion(existing) };
+		accept(client, msg, entry, null, checked.value !== msg.value);
+	}
+
+
+	/**
+	 * Handle a patch message, which changes part of a key's object value
+	 * 
+	 * The patch has to be based on our current value, otherwise we ask for the whole value instead.
+	 * When ordering by version, a patch based on an old version is rebased onto the current value
+	 * if it still applies cleanly, and the writer is sent the merged value in its ack.
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The patch message
+	 */
+	function handlePatch(client, msg) {
+
+		const existing = client.room.keyStateMap.get(msg.key);
+		if (!existing) {
+			resync(client, msg);
+			return;
+		}
+
+		// older than what we have, so it loses just like an update would
+		const now = msg.timestamp || Date.now();
+		if (!useVersions && now <= existing.timestamp) {
+			reject(client, msg, 'stale');
+			return;
+		}
+
+		const currentVersion = existing.version || 0;
+		const onCurrent = useVersions
+			? (msg.baseVersion || 0) === currentVersion
+			: msg.baseTimestamp === existing.timestamp;
+
+		if (!onCurrent && !useVersions) {
+			resync(client, msg);
+			return;
+		}
+
+		// patch a copy, so a bad patch can't leave us with half-applied changes
+		let patched;
+		try {
+			patched = applyPatch(structuredClone(existing.value), msg.ops);
+		} catch (err) {
+			// a rebased patch that doesn't fit anymore loses, otherwise the client's just out of sync
+			if (onCurrent)
+				resync(client, msg);
+			else
+				reject(client, msg, 'stale');
+			return;
+		}
+
+		const checked = validate(client, msg, patched);
+		if (!checked)
+			return;
+		const coerced = checked.value !== patched;
+
+		// pass the patch along, with what it's based on so clients can check they have the same value
+		// (unless we coerced the result, then everyone needs the whole value)
+		const entry = { value: checked.value, timestamp: useVersions ? Date.now() : now, version: currentVersion + 1 };
+		const patchMsg = coerced ? null : useVersions
+			? { type: 'patch', key: msg.key, ops: msg.ops, baseVersion: currentVersion, version: entry.version, timestamp: entry.timestamp }
+			: { type: 'patch', key: msg.key, ops: msg.ops, baseTimestamp: existing.timestamp, timestamp: entry.timestamp };
+
+		accept(client, msg, entry, patchMsg, !onCurrent || coerced);
+	}
+
+
+	/**
+	 * Save a client's write, broadcast it to everyone else, and ack it to the writer
+	 * 
+	 * @param {Object} client - The client info from clientMap
+	 * @param {Object} msg - The update or patch message we're accepting
+	 * @param {Object} entry - The new { value, timestamp, version }
+	 * @param {Object} patchMsg - OPTIONAL; patch message to broadcast instead of the whole value
+	 * @param {Boolean} sendValue - OPTIONAL; true to include the value in the ack, when it's not what the writer sent
+	 */
+	function accept(client, msg, entry, patchMsg = null, sendValue = false) {
+
+		saveState(client.room, msg.key, entry, { source: 'client', context: client.context, clientId: client.id }, clientTtl(msg));
+
+		if (patchMsg)
+			broadcastMessage(client.room, patchMsg, client.socket, withOrdering({ type: 'update', key: msg.key, value: entry.value, timestamp: entry.timestamp }, entry));
+		else
+			broadcast(client.room, msg.key, entry, client.socket);
+
+		// only clients that take acks and number their writes (or need the new version) want to hear back
+		if (!client.features.has('acks') || (msg.id === undefined && !useVersions))
+			return;
+
+		const ack = { type: 'ack', id: msg.id, key: msg.key, timestamp: entry.timestamp };
+		if (useVersions)
+			ack.version = entry.version;
+		if (sendValue)
+			ack.value = entry.value;
+		sendTo(client, ack);
+	}
+
+
+	/**
+	 * Check if a request is on our path
+	 * 
+	 * @param {IncomingMessage} request - The request
+	 * @returns {Boolean} - true if it's on options.path or under it
+	 */
+	function onPath(request) {
+		if (!basePath)
+			return true;
+		const path = requestPath(request);
+		return path !== null && (path === basePath || path.startsWith(basePath + '/'));
+	}
+
+
+	/**
+	 * Take an upgrade request from an http server, if it's on our path
+	 * 
+	 * @param {IncomingMessage} request - The upgrade request
+	 * @param {Duplex} socket - The request's socket
+	 * @param {Buffer} head - The first packet of the upgraded stream
+	 * @returns {Boolean} - true if we took it, false if it's someone else's to handle
+	 */
+	function handleUpgrade(request, socket, head) {
+		if (!onPath(request))
+			return false;
+		wss.handleUpgrade(request, socket, head, (webSocket) => wss.emit('connection', webSocket, request));
+		return true;
+	}
+
+
+	/**
+	 * Take the upgrades on our path from an http server, leaving the rest for its other listeners
+	 * 
+	 * @param {Server} httpServer - The http (or https) server, i.e. what app.listen() returns for Express
+	 * @returns {Function} - Call to stop taking its upgrades
+	 */
+	function attach(httpServer) {
+
+		if (!attachedServers.has(httpServer)) {
+			const listener = (request, socket, head) => handleUpgrade(request, socket, head);
+			attachedServers.set(httpServer, listener);
+			httpServer.on('upgrade', listener);
+		}
+
+		return () => {
+			const listener = attachedServers.get(httpServer);
+			if (listener) {
+				httpServer.off('upgrade', listener);
+				attachedServers.delete(httpServer);
+			}
+		};
+	}
+
+
+	/**
+	 * Make middleware that answers plain http requests on our path with 426 Upgrade Required
+	 * 
+	 * Works with Express & Connect as (req, res, next), or in a plain http request handler
+	 * as if (middleware(req, res)) return; and either way, pair it with attach() for the upgrades.
+	 * 
+	 * @returns {Function} - (req, res, next) => true if it answered the request
+	 */
+	function middleware() {
+		return (request, response, next) => {
+
+			if (!basePath || !onPath(request)) {
+				if (next)
+					next();
+				return false;
+			}
+
+			response.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' });
+			response.end('Upgrade Required');
+			return true;
+		};
+	}
+
+
+	// handle incoming connections
+	wss.on('connection', (socket, request) => {
+
+		// messages are handled one at a time, in order, since loading & authenticating may be async
+		const client = {
+			id: ++lastClientId,
+			socket,
+			request,
+			context: {},
+			authenticated: !authenticate,
+			refused: false,
+			room: null,
+			keys: new Set(),
+			patterns: new Set(),
+			events: new Set(),
+			histories: new Set(),
+			presence: {},
+			watchingPresence: false,
+			limiter: rateLimit ? createRateLimiter({ ...rateLimit, strategy: 'limit' }) : null,
+			protocol: 1, // until it says hello, see protocol.js
+			features: new Set(),
+			codec: jsonCodec,
+			queue: Promise.resolve(),
+		};
+		clientMap.set(socket, client);
+
+		// without authentication, we already know which room they're in
+		if (client.authenticated)
+			client.queue = joinRoom(client);
+
+		// handle incoming messages
+		socket.on('message', (data, isBinary) => {
+			client.queue = client.queue
+				.then(() => handleMessage(client, data, isBinary))
+				.catch((err) => console.error('socketRefServer: error handling message', err));
+		});
+
+		// forget the client when it goes away
+		socket.on('close', () => {
+			clientMap.delete(socket);
+			for (const key of [...client.keys])
+				unsubscribe(client, key);
+			for (const pattern of [...client.patterns])
+				unsubscribePattern(client, pattern);
+			for (const name of [...client.events])
+				listenForEvent(client, name, false);
+			for (const key of [...client.histories])
+				watchHistory(client, key, false);
+			if (client.room) {
+				client.room.clients.delete(client);
+				schedulePresence(client.room);
 			}
 		});
 	});
 
-	return wss;
+	/**
+	 * Make the functions to read & write the keys in one room
+	 * 
+	 * @param {String} name - The room name
+	 * @returns {Object} - { name, get, set, delete, keys, members }
+	 */
+	function roomController(name) {
+
+		return {
+
+			// the room's name, '' for the default room
+			name,
+
+			/**
+			 * Get the current value of a key
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @returns {*} - The value, or undefined if the key has no value
+			 */
+			get(key) {
+				const existing = roomMap.get(name)?.keyStateMap.get(key);
+				return existing ? existing.value : undefined;
+			},
+
+			/**
+			 * Set the value of a key & broadcast it to all clients in the room
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @param {*} value - The new value
+			 * @param {Object} setOptions - OPTIONAL; { ttl } with ms until the key expires, instead of the one from options.ttl
+			 */
+			set(key, value, setOptions = {}) {
+
+				// make sure we win over the current value, even if a client's clock is ahead of ours
+				const room = getRoom(name);
+				const existing = room.keyStateMap.get(key);
+				const timestamp = existing ? Math.max(Date.now(), existing.timestamp + 1) : Date.now();
+				const entry = { value, timestamp, version: nextVersion(existing) };
+
+				saveState(room, key, entry, { source: 'server' }, setOptions.ttl);
+				broadcast(room, key, entry);
+			},
+
+			/**
+			 * Delete a key, so everyone who has it goes back to their default value
+			 * 
+			 * The next client to init it will seed it with its default value again.
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @returns {Boolean} - true if the key existed
+			 */
+			delete(key) {
+				const room = roomMap.get(name);
+				return room ? deleteKey(room, key, { source: 'server' }) : false;
+			},
+
+			/**
+			 * Get all the keys that have a value
+			 * 
+			 * @returns {Array<String>} - The keys
+			 */
+			keys() {
+				const room = roomMap.get(name);
+				return room ? [...room.keyStateMap.keys()] : [];
+			},
+
+			/**
+			 * Get a key's past values, if we keep history for it
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @returns {Object} - { entries: [{ value, timestamp, clientId }], index }, where index is the current value's entry
+			 */
+			history(key) {
+				const room = roomMap.get(name);
+				return room ? historyOf(room, key) : { entries: [], index: -1 };
+			},
+
+			/**
+			 * Put a key back to its previous value in its history, and broadcast it
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @returns {Boolean} - true if there was something to undo
+			 */
+			undo(key) {
+				const room = roomMap.get(name);
+				return !!room && !!stepHistory(room, key, 'undo');
+			},
+
+			/**
+			 * Put back the value that was undone last, and broadcast it
+			 * 
+			 * @param {String} key - The socketRef state key
+			 * @returns {Boolean} - true if there was something to redo
+			 */
+			redo(key) {
+				const room = roomMap.get(name);
+				return !!room && !!stepHistory(room, key, 'redo');
+			},
+
+			/**
+			 * Send an event to every client in the room listening for it
+			 * 
+			 * @param {String} eventName - The event name
+			 * @param {*} payload - OPTIONAL; the event payload
+			 */
+			sendEvent(eventName, payload) {
+				sendEvent(getRoom(name), eventName, payload);
+			},
+
+			/**
+			 * Get the clients in the room
+			 * 
+			 * @returns {Array<Object>} - { id, socket, request, context, presence } for each client
+			 */
+			members() {
+				const room = roomMap.get(name);
+				return room ? [...room.clients].map(({ id, socket, request, context, presence }) => ({ id, socket, request, context, presence })) : [];
+			},
+
+			/**
+			 * Get who's in the room, what they've told us about themselves, and which keys they're watching
+			 * 
+			 * @returns {Array<Object>} - { id, presence, keys } for each client
+			 */
+			presence() {
+				const room = roomMap.get(name);
+				return room ? presenceList(room) : [];
+			},
+		};
+	}
+
+
+	// the controller lets server code read, write & watch keys just like a client would
+	// (get, set, delete, keys & members work on the default room, use room() for the others)
+	const controller = Object.assign(new EventEmitter(), roomController(''), {
+
+		// the underlying WebSocketServer
+		wss,
+
+		// resolves once the default room's store has loaded
+		ready: defaultRoom.loaded,
+
+		/**
+		 * Register a function clients can call with callSocket
+		 * 
+		 * The handler gets the args from the client, and { context, room, clientId } for who's calling.
+		 * Whatever it returns (or resolves to) is sent back. If it throws, the error's message & code are.
+		 * 
+		 * @param {String} name - The name clients call it by
+		 * @param {Function} handler - async (args, ctx) => result
+		 * @returns {Function} - Call to unregister the handler
+		 */
+		handle(name, handler) {
+			callHandlers.set(name, handler);
+			return () => {
+				if (callHandlers.get(name) === handler)
+					callHandlers.delete(name);
+			};
+		},
+
+		/**
+		 * Get the functions to read & write the keys in a room
+		 * 
+		 * @param {String} name - The room name
+		 * @returns {Object} - { name, get, set, delete, keys, members }
+		 */
+		room(name) {
+			return roomController(String(name));
+		},
+
+		/**
+		 * Get the names of all the rooms, including ones that are empty but not disposed yet
+		 * 
+		 * @returns {Array<String>} - The room names
+		 */
+		rooms() {
+			return [...roomMap.keys()];
+		},
+
+		/**
+		 * Forget an empty room and its keys, after writing out anything its store is holding on to
+		 * 
+		 * The room's saved state stays in its store, and is loaded again if someone rejoins.
+		 * 
+		 * @param {String} name - The room name
+		 * @returns {Boolean} - true if the room was disposed, false if it doesn't exist or still has clients
+		 */
+		disposeRoom(name) {
+
+			const room = roomMap.get(name);
+			if (!room || room.clients.size > 0)
+				return false;
+
+			clearExpiries(room);
+			clearTimeout(room.presenceTimer);
+			flushRoom(room);
+			roomMap.delete(name);
+			return true;
+		},
+
+		handleUpgrade,
+		attach,
+		middleware,
+
+		/**
+		 * Stop the server
+		 * 
+		 * @param {Function} callback - OPTIONAL; called once the server has closed
+		 */
+		close(callback) {
+			for (const [httpServer, listener] of attachedServers)
+				httpServer.off('upgrade', listener);
+			attachedServers.clear();
+			wss.close(callback);
+		},
+	});
+
+	return controller;
 	
 }
+
+
+/**
+ * Get the room a connection asked for from the path it connected on
+ * 
+ * @param {IncomingMessage} request - The connection's upgrade request
+ * @param {String} basePath - OPTIONAL; the server's path, which isn't part of the room name
+ * @returns {String} - The room name, '' for the default room
+ */
+function roomFromPath(request, basePath = '') {
+	let path = requestPath(request) || '/';
+	if (basePath && (path === basePath || path.startsWith(basePath + '/')))
+		path = path.slice(basePath.length);
+	return decodeURIComponent(path.replace(/^\/+|\/+$/g, ''));
+}
+
+
+/**
+ * Get the path a request is for
+ * 
+ * @param {IncomingMessage} request - The request
+ * @returns {String|null} - The path, i.e. '/sync/team-a', or null if the request's url doesn't parse
+ */
+function requestPath(request) {
+	try {
+		return new URL(request.url || '/', 'ws://localhost').pathname;
+	} catch (err) {
+		return null;
+	}
+}
+
+
+/**
+ * Tidy up options.path, so it starts with a slash & doesn't end with one
+ * 
+ * @param {String} path - OPTIONAL; the path, i.e. 'sync' or '/sync/'
+ * @returns {String} - i.e. '/sync', or '' for every path
+ */
+function normalizePath(path) {
+	const trimmed = String(path || '').replace(/^\/+|\/+$/g, '');
+	return trimmed ? '/' + trimmed : '';
+}
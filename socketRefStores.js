@@ -0,0 +1,177 @@
+/*
+	socketRefStores.js
+	------------------
+
+	provides storage adapters for socketRefServer, so synced values survive a server restart:
+	- memoryStore
+	- jsonFileStore
+
+	A store is any object with these methods (each may return a Promise):
+	- load() - returns the saved state, as an object or Map of key => { value, timestamp, version }
+	- save(key, entry) - called with { value, timestamp, version } every time a key's value is accepted
+	- delete(key) - OPTIONAL; called when a key is deleted
+	- flush() - OPTIONAL; write out anything that's been buffered, called when the server closes
+*/
+
+// node libs
+import { promises as fs } from 'fs';
+
+// for saving values JSON can't hold
+import { isPlainJson, encodeBase64, decodeBase64 } from './codecs.js';
+
+/**
+ * Creates a store that just keeps the entries in memory
+ * 
+ * Handy for tests, or for sharing state between servers in the same process.
+ * 
+ * @param {Object} initialEntries - OPTIONAL; object of key => { value, timestamp } to start with
+ * @returns {Object} - the store
+ */
+export function memoryStore(initialEntries = {}) {
+
+	const entries = new Map(Object.entries(initialEntries));
+
+	return {
+		load: () => new Map(entries),
+		save: (key, entry) => { entries.set(key, entry); },
+		delete: (key) => { entries.delete(key); },
+	};
+}
+
+
+/**
+ * Creates a store that saves all the entries to a single JSON file
+ * 
+ * The whole file is rewritten on save, so for busy servers set options.debounce to
+ * batch up writes that happen close together.
+ * 
+ * Values JSON can't hold (Dates, Uint8Arrays, Maps & such from binaryCodec clients) are saved
+ * as { encoded } with binaryCodec's bytes in base64 instead of { value }, so they load with the same types.
+ * 
+ * @param {String} filePath - path of the JSON file to read & write
+ * @param {Object} options - OPTIONAL; settings for the store
+ * @param {Number} options.debounce - OPTIONAL; milliseconds to collect saves before writing, defaults to 0
+ * @param {Number} options.space - OPTIONAL; indentation for the JSON, defaults to none
+ * @returns {Object} - the store
+ */
+export function jsonFileStore(filePath, options = {}) {
+
+	const debounce = options.debounce || 0;
+	const space = options.space || undefined;
+
+	// the entries as of the last load or save
+	// (with no prototype, so keys like __proto__ are just keys)
+	let entries = Object.create(null);
+
+	// the pending debounce timer & the write currently in progress, if any
+	let timer = null;
+	let dirty = false;
+	let writing = Promise.resolve();
+
+
+	/**
+	 * Write the entries to disk, after any write that is already in progress
+	 * 
+	 * @returns {Promise} - resolves when the file is written
+	 */
+	function write() {
+
+		clearTimeout(timer);
+		timer = null;
+
+		if (!dirty)
+			return writing;
+		dirty = false;
+
+		// write to a temp file and rename it, so a crash mid-write can't leave half a file
+		const data = JSON.stringify(Object.fromEntries(Object.entries(entries).map(([key, entry]) => [key, toFile(entry)])), null, space);
+		const tempPath = `${filePath}.tmp`;
+		writing = writing
+			.then(() => fs.writeFile(tempPath, data))
+			.then(() => fs.rename(tempPath, filePath))
+			.catch(err => console.error(`jsonFileStore: failed to write ${filePath}`, err));
+
+		return writing;
+	}
+
+
+	/**
+	 * Mark the entries as changed, writing them now or after the debounce
+	 * 
+	 * @returns {Promise|undefined} - resolves when the file is written, if we wrote right away
+	 */
+	function schedule() {
+
+		dirty = true;
+
+		if (debounce <= 0)
+			return write();
+
+		if (!timer)
+			timer = setTimeout(write, debounce);
+	}
+
+
+	return {
+
+		async load() {
+			try {
+				const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+				entries = Object.create(null);
+				for (const [key, entry] of Object.entries(saved))
+					entries[key] = fromFile(entry);
+			} catch (err) {
+
+				// no file yet just means nothing has been saved
+				if (err.code !== 'ENOENT')
+					throw err;
+				entries = Object.create(null);
+			}
+			return entries;
+		},
+
+		save(key, entry) {
+			entries[key] = entry;
+			return schedule();
+		},
+
+		delete(key) {
+			delete entries[key];
+			return schedule();
+		},
+
+		flush: write,
+	};
+}
+
+
+/**
+ * Get an entry ready for a JSON file, encoding its value if JSON can't hold it
+ * 
+ * @param {Object} entry - { value, timestamp, version }
+ * @returns {Object} - the entry, or { encoded, timestamp, version }
+ */
+function toFile(entry) {
+
+	if (isPlainJson(entry.value))
+		return entry;
+
+	const { value, ...rest } = entry;
+	return { ...rest, encoded: encodeBase64(value) };
+}
+
+
+/**
+ * Get an entry back from a JSON file, decoding its value if it was encoded
+ * 
+ * @param {Object} entry - the entry as it was saved
+ * @returns {Object} - { value, timestamp, version }
+ */
+function fromFile(entry) {
+
+	if (!entry || typeof entry.encoded !== 'string')
+		return entry;
+
+	const { encoded, ...rest } = entry;
+	return { ...rest, value: decodeBase64(encoded) };
+}
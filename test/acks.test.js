@@ -0,0 +1,73 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setSocketRef, getSocketRefWriteStatus, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Write acknowledgements', () => {
+	let server;
+	const PORT = 3009;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, canWrite: (key) => key !== 'locked' });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should resolve once the server has the value', async () => {
+		const name = await socketRefAsync('name', 'anon');
+		const status = getSocketRefWriteStatus(name);
+
+		const saved = setSocketRef(name, 'greg');
+		expect(status.status).toBe('pending');
+
+		await saved;
+		expect(status.status).toBe('saved');
+		expect(server.get('name')).toBe('greg');
+	});
+
+	it('should reject writes the server refuses', async () => {
+		server.set('locked', 'original');
+		const locked = await socketRefAsync('locked', null);
+		const status = getSocketRefWriteStatus(locked);
+
+		await expect(setSocketRef(locked, 'changed')).rejects.toMatchObject({ reason: 'forbidden', value: 'original' });
+		expect(status).toMatchObject({ status: 'rejected', reason: 'forbidden' });
+		expect(locked.value).toBe('original');
+
+		// setting the value the server already has isn't a write, so there's nothing to refuse
+		await expect(setSocketRef(locked, 'original')).resolves.toBeUndefined();
+	});
+
+	it('should wait on the write in flight when setting the same value again', async () => {
+		const color = await socketRefAsync('color', 'red');
+
+		const first = setSocketRef(color, 'blue');
+		const again = setSocketRef(color, 'blue');
+		await Promise.all([first, again]);
+		expect(server.get('color')).toBe('blue');
+	});
+
+	it('should reject writes that lose to a newer value', async () => {
+		const score = await socketRefAsync('score', 0);
+
+		// another client with a clock far ahead of ours
+		const other = new WebSocket(`ws://localhost:${PORT}`);
+		await new Promise(resolve => other.onopen = resolve);
+		other.send(JSON.stringify({ type: 'update', key: 'score', value: 99, timestamp: Date.now() + 60000 }));
+		await wait(50);
+		other.close();
+
+		await expect(setSocketRef(score, 1)).rejects.toMatchObject({ reason: 'stale', value: 99 });
+		expect(score.value).toBe(99);
+	});
+});
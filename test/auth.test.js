@@ -0,0 +1,97 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Authentication and authorization', () => {
+	let wss;
+	let authCalls = 0;
+	const PORT = 3006;
+
+	beforeAll(async () => {
+		wss = socketRefServer({
+			port: PORT,
+			authenticate: (request, credentials) => {
+				authCalls++;
+				const token = credentials?.token || new URL(request.url, 'ws://localhost').searchParams.get('token');
+				if (token === 'admin') return { role: 'admin' };
+				if (token === 'guest') return { role: 'guest' };
+				return null;
+			},
+			canRead: (key, ctx) => !key.startsWith('secret.') || ctx.role === 'admin',
+			canWrite: (key, ctx) => ctx.role === 'admin',
+		});
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		wss.close();
+		return wait(100);
+	});
+
+	it('should close connections with bad credentials', async () => {
+		const socket = new WebSocket(`ws://localhost:${PORT}`);
+		const messages = [];
+		socket.onmessage = (event) => messages.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+		socket.send(JSON.stringify({ type: 'auth', credentials: { token: 'nope' } }));
+		const code = await new Promise(resolve => socket.onclose = (event) => resolve(event.code));
+
+		expect(code).toBe(4401);
+		expect(messages).toEqual([{ type: 'error', reason: 'unauthorized' }]);
+	});
+
+	it('should only ask once, and drop messages sent behind a refused one', async () => {
+		const socket = new WebSocket(`ws://localhost:${PORT}`);
+		const messages = [];
+		socket.onmessage = (event) => messages.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+		const before = authCalls;
+		socket.send(JSON.stringify({ type: 'auth', credentials: { token: 'nope' } }));
+		socket.send(JSON.stringify({ type: 'init', key: 'public' }));
+		socket.send(JSON.stringify({ type: 'auth', credentials: { token: 'admin' } }));
+		await new Promise(resolve => socket.onclose = resolve);
+
+		expect(authCalls - before).toBe(1);
+		expect(messages).toEqual([{ type: 'error', reason: 'unauthorized' }]);
+	});
+
+	it('should accept a token from the query string', async () => {
+		const socket = new WebSocket(`ws://localhost:${PORT}/?token=guest`);
+		const messages = [];
+		socket.onmessage = (event) => messages.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+		socket.send(JSON.stringify({ type: 'init', key: 'public' }));
+		await wait(100);
+		socket.close();
+
+		expect(messages[0]).toMatchObject({ type: 'init', key: 'public' });
+	});
+
+	it('should reject writes the connection is not allowed to make', async () => {
+		const admin = await socketRefAsync({ key: 'public', auth: { token: 'admin' } }, 'hello');
+		const guest = await socketRefAsync({ key: 'public', auth: { token: 'guest' } }, 'ignored');
+		expect(guest.value).toBe('hello');
+
+		// the guest's write is refused and its ref is put back
+		guest.value = 'vandalized';
+		await wait(100);
+		expect(guest.value).toBe('hello');
+		expect(admin.value).toBe('hello');
+	});
+
+	it('should not let connections read keys they are not allowed to', async () => {
+		const admin = await socketRefAsync({ key: 'secret.plans', auth: () => ({ token: 'admin' }) }, 'world domination');
+		const guest = socketRef({ key: 'secret.plans', auth: { token: 'guest' } }, null);
+
+		admin.value = 'still world domination';
+		await wait(100);
+		expect(guest.value).toBe(null);
+	});
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { callSocket } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Remote calls', () => {
+	let server;
+	const PORT = 3020;
+
+	beforeAll(async () => {
+		server = socketRefServer({
+			port: PORT,
+			authenticate: (request, credentials) => credentials && { user: credentials.user },
+		});
+		server.handle('add', ([a, b]) => a + b);
+		server.handle('whoami', async (args, ctx) => {
+			await wait(10);
+			return ctx.context.user;
+		});
+		server.handle('fail', () => {
+			const err = new Error('disk full');
+			err.code = 'ENOSPC';
+			throw err;
+		});
+		server.handle('slow', () => wait(500));
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should return results, with the connection\'s auth context', async () => {
+		const options = { port: PORT, auth: { user: 'ada' } };
+		const [sum, user] = await Promise.all([
+			callSocket('add', [2, 3], options),
+			callSocket('whoami', null, options),
+		]);
+		expect(sum).toBe(5);
+		expect(user).toBe('ada');
+	});
+
+	it('should pass errors back, and time out', async () => {
+		const options = { port: PORT, auth: { user: 'ada' } };
+		await expect(callSocket('fail', null, options)).rejects.toMatchObject({ code: 'ENOSPC', message: expect.stringContaining('disk full') });
+		await expect(callSocket('nope', null, options)).rejects.toMatchObject({ code: 'not-found' });
+		await expect(callSocket('slow', null, { ...options, timeout: 50 })).rejects.toMatchObject({ code: 'timeout' });
+	});
+
+	it('should be refused without credentials', async () => {
+		await expect(callSocket('add', [1, 1], { port: PORT, timeout: 200 })).rejects.toMatchObject({ code: 'disconnected' });
+	});
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { socketRefServer, jsonFileStore } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, setSocketRef, disposeSocketRef, setGlobalSocketRefPort, memoryOfflineStorage } from '../index.js';
+import { binaryCodec, jsonCodec } from '../codecs.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Codecs', () => {
+	let server;
+	const PORT = 3024;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should round-trip the types JSON can\'t carry', () => {
+		const value = {
+			points: new Float32Array([1.5, -2.25, 3]),
+			bytes: new Uint8Array([0, 255, 7]),
+			at: new Date(1700000000000),
+			tags: new Set(['a', 'b']),
+			lookup: new Map([['x', 1], [2, [true, null]]]),
+			big: 2n ** 70n,
+			missing: undefined,
+			text: 'héllo'.repeat(20),
+			numbers: [0, 127, -32, 255, -129, 65536, -70000, 2 ** 40, 0.5],
+		};
+
+		const decoded = binaryCodec.decode(binaryCodec.encode(value));
+		expect(decoded).toEqual(value);
+		expect(decoded.points).toBeInstanceOf(Float32Array);
+		expect('missing' in decoded).toBe(true);
+
+		// and it's smaller than JSON for a typical update
+		const msg = { type: 'update', id: 12, key: 'slider', value: 42, timestamp: Date.now() };
+		expect(binaryCodec.encode(msg).length).toBeLessThan(jsonCodec.encode(msg).length);
+	});
+
+	it('should sync typed values between clients that negotiated the binary codec', async () => {
+		const canvasA = await socketRefAsync({ key: 'canvas', codec: binaryCodec }, { points: new Float32Array(0), at: null });
+		const canvasB = await socketRefAsync({ key: 'canvas', ip: '127.0.0.1', codec: binaryCodec }, null);
+
+		const points = new Float32Array([0.5, 1.5, 2.5, 3.5]);
+		await setSocketRef(canvasA, { points, at: new Date(5000) });
+		await wait(50);
+
+		expect(server.get('canvas').points).toBeInstanceOf(Float32Array);
+		expect(canvasB.value.points).toBeInstanceOf(Float32Array);
+		expect([...canvasB.value.points]).toEqual([0.5, 1.5, 2.5, 3.5]);
+		expect(canvasB.value.at.getTime()).toBe(5000);
+
+		// clients that only speak JSON still get the value, the way JSON carries it
+		const plain = await socketRefAsync({ key: 'canvas', ip: '[::1]' }, null);
+		expect(plain.value.at).toBe(new Date(5000).toISOString());
+
+		plain.value = { points: [], at: null };
+		await wait(50);
+		expect(canvasA.value).toEqual({ points: [], at: null });
+	});
+
+	it('should fall back to JSON when the server doesn\'t speak the codec', async () => {
+		const jsonOnly = socketRefServer({ port: PORT + 100, codecs: [] });
+		await wait(100);
+
+		const ref = await socketRefAsync({ key: 'fallback', port: PORT + 100, codec: binaryCodec }, { n: 1 });
+		await setSocketRef(ref, { n: 2 });
+		expect(jsonOnly.get('fallback')).toEqual({ n: 2 });
+
+		disposeSocketRef(ref);
+		jsonOnly.close();
+		await wait(100);
+	});
+
+	it('should keep types in the JSON file store', async () => {
+		const dir = mkdtempSync(join(tmpdir(), 'socket-ref-'));
+		const filePath = join(dir, 'state.json');
+
+		const store = jsonFileStore(filePath);
+		await store.load();
+		store.save('plain', { value: { n: 1 }, timestamp: 1 });
+		await store.save('typed', { value: { bytes: new Uint8Array([1, 2]), at: new Date(5000), lookup: new Map([['a', 1]]) }, timestamp: 2 });
+
+		// plain values stay readable
+		expect(JSON.parse(readFileSync(filePath, 'utf8')).plain).toEqual({ value: { n: 1 }, timestamp: 1 });
+
+		const { typed } = await jsonFileStore(filePath).load();
+		expect(typed.timestamp).toBe(2);
+		expect(typed.value.bytes).toEqual(new Uint8Array([1, 2]));
+		expect(typed.value.at).toEqual(new Date(5000));
+		expect(typed.value.lookup).toEqual(new Map([['a', 1]]));
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('should keep types in the offline queue', async () => {
+		const storage = memoryOfflineStorage();
+		const options = { key: 'when', port: PORT + 200, offline: storage, codec: binaryCodec, reconnect: { initialDelay: 5000 } };
+
+		// nothing is listening there, so the write is queued
+		const when = socketRef(options, null);
+		await wait(20);
+		when.value = new Date(5000);
+		await wait(20);
+		disposeSocketRef(when);
+
+		// and comes back as a Date after a "reload"
+		const reloaded = socketRef(options, null);
+		await wait(20);
+		expect(reloaded.value).toEqual(new Date(5000));
+		disposeSocketRef(reloaded);
+	});
+});
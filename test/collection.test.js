@@ -0,0 +1,92 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { matchKey } from '../keyPatterns.js';
+import { socketRefAsync, socketRefCollection, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Key pattern collections', () => {
+	let server;
+	const PORT = 3016;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		server.set('player.1', { name: 'Ada' });
+		server.set('score', 10);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should list matching keys and keep up as they change', async () => {
+		const players = socketRefCollection('player.*');
+		await wait(100);
+		expect(players).toEqual({ 'player.1': { name: 'Ada' } });
+
+		// a new player from the server
+		server.set('player.2', { name: 'Grace' });
+		await wait(50);
+		expect(players['player.2']).toEqual({ name: 'Grace' });
+
+		// a new player from a ref on the same connection
+		const me = await socketRefAsync('player.3', { name: 'Linus' });
+		await wait(50);
+		expect(players['player.3']).toEqual({ name: 'Linus' });
+
+		// patches to matching keys arrive as whole values
+		me.value.name = 'Linus T';
+		await wait(50);
+		expect(players['player.3']).toEqual({ name: 'Linus T' });
+
+		server.delete('player.1');
+		await wait(50);
+		expect(Object.keys(players).sort()).toEqual(['player.2', 'player.3']);
+		expect(players.score).toBe(undefined);
+	});
+
+	it('should send snapshots & updates over the wire to pattern subscribers', async () => {
+		const socket = new WebSocket(`ws://localhost:${PORT}`);
+		const received = [];
+		socket.onmessage = (event) => received.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+
+		socket.send(JSON.stringify({ type: 'subscribePattern', pattern: 'player.*' }));
+		await wait(50);
+		expect(received[0]).toMatchObject({ type: 'snapshot', pattern: 'player.*', entries: { 'player.2': { value: { name: 'Grace' } } } });
+
+		socket.send(JSON.stringify({ type: 'unsubscribePattern', pattern: 'player.*' }));
+		await wait(50);
+		received.length = 0;
+		server.set('player.4', { name: 'Barbara' });
+		await wait(50);
+		expect(received).toEqual([]);
+		socket.close();
+	});
+
+	it('should match patterns quickly, and ignore ones that are too big', async () => {
+		const started = Date.now();
+		expect(matchKey('a*'.repeat(10) + 'b', 'a'.repeat(40))).toBe(false);
+		expect(matchKey('**.'.repeat(15) + 'x', 'a.'.repeat(200) + 'y')).toBe(false);
+		expect(Date.now() - started).toBeLessThan(100);
+
+		const socket = new WebSocket(`ws://localhost:${PORT}`);
+		const received = [];
+		socket.onmessage = (event) => received.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+
+		socket.send(JSON.stringify({ type: 'subscribePattern', pattern: 'player.' + '*x'.repeat(20) }));
+		await wait(50);
+		expect(received).toEqual([]);
+		socket.close();
+
+		expect(() => socketRefCollection('x'.repeat(300))).toThrow();
+	});
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, socketRefReadOnly, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Server controller', () => {
+	let server;
+	const PORT = 3007;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should push server-side values to clients', async () => {
+		server.set('job.progress', 0);
+		const progress = socketRefReadOnly('job.progress', null);
+		await wait(100);
+		expect(progress.value).toBe(0);
+
+		server.set('job.progress', 50);
+		await wait(100);
+		expect(progress.value).toBe(50);
+	});
+
+	it('should emit change events for client writes', async () => {
+		const changes = [];
+		server.on('change', (key, value, meta) => changes.push({ key, value, source: meta.source }));
+
+		const name = await socketRefAsync('player.name', 'anon');
+		await wait(10);
+		name.value = 'greg';
+		await wait(100);
+
+		expect(server.get('player.name')).toBe('greg');
+		expect(changes).toContainEqual({ key: 'player.name', value: 'greg', source: 'client' });
+	});
+
+	it('should list and delete keys', () => {
+		expect(server.keys()).toContain('job.progress');
+		expect(server.delete('job.progress')).toBe(true);
+		expect(server.get('job.progress')).toBe(undefined);
+		expect(server.keys()).not.toContain('job.progress');
+	});
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, deleteSocketRef, socketRefCollection, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Deleting & expiring keys', () => {
+	let server;
+	const PORT = 3017;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, ttl: { 'ping.*': 100, 'session.*': 30 * 24 * 60 * 60 * 1000 } });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should reset every ref to its default when a client deletes the key', async () => {
+		const mine = await socketRefAsync('draft', 'empty');
+		const other = socketRef({ key: 'draft', ip: '127.0.0.1', port: PORT }, 'blank');
+		await wait(50);
+		mine.value = 'hello';
+		await wait(50);
+		expect(other.value).toBe('hello');
+
+		const deleted = [];
+		server.on('delete', (key, meta) => deleted.push([key, meta.source]));
+
+		await deleteSocketRef(mine);
+		await wait(50);
+		expect(mine.value).toBe('empty');
+		expect(other.value).toBe('blank');
+		expect(server.get('draft')).toBe(undefined);
+		expect(server.keys()).not.toContain('draft');
+		expect(deleted).toEqual([['draft', 'client']]);
+
+		// and the key can be written again
+		mine.value = 'again';
+		await wait(50);
+		expect(server.get('draft')).toBe('again');
+		expect(other.value).toBe('again');
+	});
+
+	it('should reset refs when the server deletes the key', async () => {
+		server.set('banner', 'sale!');
+		const banner = await socketRefAsync('banner', 'none');
+		expect(banner.value).toBe('sale!');
+
+		server.delete('banner');
+		await wait(50);
+		expect(banner.value).toBe('none');
+	});
+
+	it('should expire keys with a TTL', async () => {
+		const players = socketRefCollection('ping.*');
+		const ping = await socketRefAsync('ping.ada', 1);
+		await wait(20);
+		expect(players['ping.ada']).toBe(1);
+
+		// writing keeps it alive
+		await wait(60);
+		ping.value = 2;
+		await wait(60);
+		expect(server.get('ping.ada')).toBe(2);
+
+		await wait(100);
+		expect(server.get('ping.ada')).toBe(undefined);
+		expect(players['ping.ada']).toBe(undefined);
+
+		// a TTL from the controller
+		server.set('notice', 'brb', { ttl: 50 });
+		await wait(100);
+		expect(server.get('notice')).toBe(undefined);
+	});
+
+	it('should keep keys with TTLs longer than a timer can wait', async () => {
+		const session = await socketRefAsync('session.ada', 'token');
+		server.set('session.grace', 'token', { ttl: 2 ** 31 + 1000 });
+		await wait(50);
+		expect(server.get('session.ada')).toBe('token');
+		expect(server.get('session.grace')).toBe('token');
+		session.value = 'refreshed';
+		await wait(50);
+		expect(server.get('session.ada')).toBe('refreshed');
+	});
+
+	it('should not let clients lengthen a TTL', async () => {
+		const pinger = await socketRefAsync({ key: 'ping.linus', ttl: 60 * 60 * 1000 }, 1);
+		pinger.value = 2;
+		await wait(200);
+		expect(server.get('ping.linus')).toBe(undefined);
+
+		// but they can shorten one, or set their own
+		const quick = await socketRefAsync({ key: 'session.quick', ttl: 50 }, 1);
+		const own = await socketRefAsync({ key: 'scratch', ttl: 50 }, 1);
+		quick.value = 2;
+		own.value = 2;
+		await wait(150);
+		expect(server.get('session.quick')).toBe(undefined);
+		expect(server.get('scratch')).toBe(undefined);
+	});
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { effectScope } from 'vue';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, socketRefCollection, setSocketRef, disposeSocketRef, setGlobalSocketRefPort, getSocketRefStatus, useSocketRefHistory } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Disposing refs', () => {
+	let server;
+	const PORT = 3023;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should stop syncing and close the socket once disposed', async () => {
+		const name = await socketRefAsync('name', 'anon');
+		expect(server.wss.clients.size).toBe(1);
+
+		disposeSocketRef(name);
+		await wait(100);
+		expect(server.wss.clients.size).toBe(0);
+
+		// the ref keeps its value, but it's not ours to sync anymore
+		name.value = 'local only';
+		await wait(50);
+		expect(server.get('name')).toBe('anon');
+		await expect(setSocketRef(name, 'again')).rejects.toThrow('disposed');
+
+		// disposing twice is harmless
+		disposeSocketRef(name);
+	});
+
+	it('should dispose refs & collections made in a scope along with it', async () => {
+		const scope = effectScope();
+		// (both are made before the first await, while the scope is still active)
+		const { players, color } = await scope.run(async () => ({
+			players: socketRefCollection('player.*'),
+			color: await socketRefAsync('color', 'red'),
+		}));
+		await wait(50);
+		expect(server.wss.clients.size).toBe(1);
+
+		server.set('player.1', { name: 'ann' });
+		await wait(50);
+		expect(players['player.1']).toEqual({ name: 'ann' });
+
+		scope.stop();
+		await wait(100);
+		expect(server.wss.clients.size).toBe(0);
+
+		server.set('player.2', { name: 'bob' });
+		await wait(50);
+		expect(players['player.2']).toBeUndefined();
+		expect(() => disposeSocketRef(color)).not.toThrow();
+	});
+
+	it('should only dispose the ref it\'s given', async () => {
+		const kept = await socketRefAsync('shared', 1);
+		const dropped = await socketRefAsync('shared', 1);
+
+		disposeSocketRef(dropped);
+		server.set('shared', 2);
+		await wait(50);
+
+		expect(kept.value).toBe(2);
+		expect(dropped.value).toBe(1);
+		expect(server.wss.clients.size).toBe(1);
+		disposeSocketRef(kept);
+	});
+
+	it('should report disposed refs as offline, and refuse to undo or redo them', async () => {
+		const title = await socketRefAsync('title', 'draft');
+		const status = getSocketRefStatus(title);
+		const history = useSocketRefHistory(title);
+		expect(status.status).toBe('synced');
+
+		disposeSocketRef(title);
+		expect(status.status).toBe('offline');
+		await expect(history.undo()).rejects.toThrow('disposed');
+
+		// even when they're first asked for after it's gone
+		const subtitle = await socketRefAsync('subtitle', '');
+		disposeSocketRef(subtitle);
+		expect(getSocketRefStatus(subtitle).status).toBe('offline');
+		expect(getSocketRefStatus(subtitle).lastError).toBe(null);
+		await expect(useSocketRefHistory(subtitle).redo()).rejects.toThrow('disposed');
+	});
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketEvent, socketRefAsync, disposeSocketRef } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Socket events', () => {
+	let server;
+	const PORT = 3019;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, canEmit: (name) => name !== 'admin' });
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should deliver every event to every listener, without saving it', async () => {
+		const toast = socketEvent({ name: 'toast', port: PORT });
+		const mine = [];
+		toast.on((payload) => mine.push(payload));
+
+		// someone else, on their own connection
+		const socket = new WebSocket(`ws://localhost:${PORT}`);
+		const received = [];
+		socket.onmessage = (event) => received.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+		socket.send(JSON.stringify({ type: 'subscribeEvent', name: 'toast' }));
+		await wait(100);
+
+		// two in the same millisecond both arrive
+		expect(toast.emit({ text: 'saved' })).toBe(true);
+		expect(toast.emit({ text: 'saved' })).toBe(true);
+		toast.emit({ text: 'quiet' }, { excludeSelf: true });
+		await wait(50);
+
+		expect(mine).toEqual([{ text: 'saved' }, { text: 'saved' }]);
+		expect(received.map(msg => msg.payload)).toEqual([{ text: 'saved' }, { text: 'saved' }, { text: 'quiet' }]);
+		expect(received[0]).toMatchObject({ type: 'event', name: 'toast', from: expect.any(Number) });
+		expect(server.keys()).toEqual([]);
+
+		// and from them to us
+		socket.send(JSON.stringify({ type: 'event', name: 'toast', payload: 'hi' }));
+		await wait(50);
+		expect(mine[2]).toBe('hi');
+		socket.close();
+	});
+
+	it('should send server events, and let the server refuse events', async () => {
+		const seen = [];
+		server.on('event', (name, payload) => seen.push(name));
+
+		const ding = socketEvent({ name: 'ding', port: PORT });
+		const admin = socketEvent({ name: 'admin', port: PORT });
+		const dings = [];
+		const off = ding.on((payload, meta) => dings.push([payload, meta.from]));
+		await wait(50);
+
+		server.sendEvent('ding', 1);
+		admin.emit('reboot', { excludeSelf: true });
+		await wait(50);
+		expect(dings).toEqual([[1, null]]);
+		expect(seen).toEqual(['ding']);
+
+		off();
+		server.sendEvent('ding', 2);
+		await wait(50);
+		expect(dings).toHaveLength(1);
+	});
+
+	it('should hold its connection until disposed, even once the refs on it are gone', async () => {
+		const before = server.wss.clients.size;
+		const ref = await socketRefAsync({ key: 'bells', port: PORT, room: 'lobby' }, 0);
+		const bell = socketEvent({ name: 'bell', port: PORT, room: 'lobby' });
+
+		disposeSocketRef(ref);
+		await wait(50);
+		expect(server.wss.clients.size).toBe(before + 1);
+
+		const rings = [];
+		bell.on((payload) => rings.push(payload));
+		await wait(50);
+		server.room('lobby').sendEvent('bell', 1);
+		await wait(50);
+		expect(rings).toEqual([1]);
+
+		// letting go closes the socket, and using it again opens a new one
+		bell.dispose();
+		await wait(100);
+		expect(server.wss.clients.size).toBe(before);
+
+		bell.on((payload) => rings.push(payload));
+		await wait(100);
+		server.room('lobby').sendEvent('bell', 2);
+		await wait(50);
+		expect(rings).toEqual([1, 2]);
+
+		bell.dispose();
+		await wait(100);
+		expect(server.wss.clients.size).toBe(before);
+	});
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { effectScope } from 'vue';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, useSocketRefHistory, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Undo & redo history', () => {
+	let server;
+	const PORT = 3021;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, history: { 'doc.*': 3 } });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should undo & redo for every client', async () => {
+		const text = await socketRefAsync('doc.title', 'a');
+		const other = socketRef({ key: 'doc.title', ip: '127.0.0.1', port: PORT }, '');
+		const scope = effectScope();
+		const { history, canUndo, canRedo, undo, redo } = scope.run(() => useSocketRefHistory(text));
+
+		text.value = 'ab';
+		await wait(20);
+		text.value = 'abc';
+		await wait(50);
+
+		expect(history.value.map(entry => entry.value)).toEqual(['a', 'ab', 'abc']);
+		expect(history.value[2].clientId).toEqual(expect.any(Number));
+		expect(canUndo.value).toBe(true);
+		expect(canRedo.value).toBe(false);
+
+		await undo();
+		await wait(50);
+		expect(text.value).toBe('ab');
+		expect(other.value).toBe('ab');
+		expect(canRedo.value).toBe(true);
+
+		await redo();
+		await wait(50);
+		expect(text.value).toBe('abc');
+		expect(other.value).toBe('abc');
+
+		// a new write drops what could be redone, and the buffer is bounded
+		await undo();
+		await wait(50);
+		other.value = 'xyz';
+		await wait(50);
+		expect(server.history('doc.title').entries.map(entry => entry.value)).toEqual(['a', 'ab', 'xyz']);
+		expect(canRedo.value).toBe(false);
+
+		other.value = 'xyz!';
+		await wait(50);
+		expect(history.value.map(entry => entry.value)).toEqual(['ab', 'xyz', 'xyz!']);
+
+		await undo();
+		await undo();
+		await expect(undo()).rejects.toMatchObject({ reason: 'no-history' });
+		await wait(50);
+		expect(other.value).toBe('ab');
+		scope.stop();
+	});
+
+	it('should only keep history for the keys it was asked to', async () => {
+		server.set('other', 1);
+		server.set('other', 2);
+		expect(server.history('other').entries).toEqual([]);
+		expect(server.undo('other')).toBe(false);
+	});
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Shared connection per server URL', () => {
+	let wss;
+	const PORT = 3003;
+
+	beforeAll(async () => {
+		wss = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		if (wss) wss.close();
+		return wait(100);
+	});
+
+	it('should multiplex many keys over a single socket', async () => {
+		const refs = [];
+		for (let i = 0; i < 20; i++)
+			refs.push(await socketRefAsync(`key-${i}`, i));
+
+		expect(wss.wss.clients.size).toBe(1);
+		expect(refs.map(r => r.value)).toEqual([...Array(20).keys()]);
+	});
+
+	it('should keep refs with the same key on one socket in sync', async () => {
+		const refA = await socketRefAsync('shared', 'a');
+		const refB = await socketRefAsync('shared', 'b');
+
+		// the second ref gets the value seeded by the first
+		expect(refB.value).toBe('a');
+
+		refA.value = 'changed';
+		await wait(50);
+		expect(refB.value).toBe('changed');
+	});
+
+	it('should route updates from other clients by key', async () => {
+		const refA = socketRef('route-a', 1);
+		const refB = socketRef('route-b', 2);
+		await wait(200);
+
+		const other = new WebSocket(`ws://localhost:${PORT}`);
+		await new Promise(resolve => other.onopen = resolve);
+		other.send(JSON.stringify({ type: 'update', key: 'route-b', value: 20, timestamp: Date.now() + 1000 }));
+		await wait(200);
+		other.close();
+
+		expect(refA.value).toBe(1);
+		expect(refB.value).toBe(20);
+	});
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, onSocketRefConflict, reconnectSocketRefs, memoryOfflineStorage, getSocketRefStatus } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Offline write queue', () => {
+	let server;
+	const PORT = 3012;
+	const url = `ws://localhost:${PORT}`;
+	const storage = memoryOfflineStorage();
+	const reconnect = { initialDelay: 20, jitter: 0 };
+
+	afterAll(() => {
+		if (server) server.close();
+		return wait(100);
+	});
+
+	it('should keep every offline write and replay a saved queue in order', async () => {
+
+		// nothing is listening yet, so writes are queued
+		const draft = socketRef({ key: 'draft', port: PORT, offline: storage, reconnect }, '');
+		await wait(50);
+		draft.value = 'a';
+		draft.value = 'ab';
+		await wait(10);
+		expect(JSON.parse(storage.getItem(`socket-ref:${url}:draft`)).map(w => w.value)).toEqual(['a', 'ab']);
+
+		// a queue saved before a "reload"
+		const now = Date.now();
+		storage.setItem(`socket-ref:${url}:notes`, JSON.stringify([
+			{ value: 'first', timestamp: now - 2 },
+			{ value: 'second', timestamp: now - 1 },
+		]));
+		const notes = socketRef({ key: 'notes', port: PORT, offline: storage, reconnect }, 'default');
+		await wait(10);
+		expect(notes.value).toBe('second');
+
+		server = socketRefServer({ port: PORT });
+		const changes = [];
+		server.on('change', (key, value) => changes.push([key, value]));
+		reconnectSocketRefs();
+		await wait(200);
+
+		expect(changes.filter(([key]) => key === 'notes').map(([, value]) => value)).toEqual(['first', 'second']);
+		expect(changes.filter(([key]) => key === 'draft').map(([, value]) => value)).toEqual(['a', 'ab']);
+		expect(server.get('notes')).toBe('second');
+		expect(storage.getItem(`socket-ref:${url}:notes`)).toBe(null);
+		expect(storage.getItem(`socket-ref:${url}:draft`)).toBe(null);
+	});
+
+	it('should report a conflict when a queued write loses to a newer server value', async () => {
+
+		const conflicts = [];
+		const off = onSocketRefConflict((conflict) => conflicts.push(conflict));
+		const local = [];
+
+		const title = socketRef({ key: 'title', port: PORT, offline: storage, reconnect, onConflict: (c) => local.push(c) }, 'untitled');
+		await wait(100);
+		expect(server.get('title')).toBe('untitled');
+
+		// drop the connection, and edit while we're away
+		for (const client of server.wss.clients)
+			client.terminate();
+		server.close();
+		await wait(50);
+		title.value = 'mine';
+		await wait(10);
+
+		// someone else writes after us
+		server = socketRefServer({ port: PORT, store: { load: () => ({ title: { value: 'theirs', timestamp: Date.now() + 1000 } }), save() {} } });
+		reconnectSocketRefs();
+		await wait(200);
+
+		expect(title.value).toBe('theirs');
+		expect(local).toEqual([{ key: 'title', value: 'mine', timestamp: expect.any(Number), serverValue: 'theirs' }]);
+		expect(conflicts).toEqual(local);
+		off();
+	});
+
+	it('should ignore saved offline data that isn\'t a list of writes', async () => {
+		storage.setItem(`socket-ref:${url}:mangled`, '{"value":1}');
+		storage.setItem(`socket-ref:${url}:holey`, JSON.stringify([null, 5, { value: 'kept', timestamp: Date.now() }]));
+
+		const mangled = socketRef({ key: 'mangled', port: PORT, offline: storage, reconnect }, 'default');
+		const holey = socketRef({ key: 'holey', port: PORT, offline: storage, reconnect }, 'default');
+		await wait(200);
+
+		expect(getSocketRefStatus(mangled).status).toBe('synced');
+		expect(server.get('mangled')).toBe('default');
+		expect(holey.value).toBe('kept');
+		expect(server.get('holey')).toBe('kept');
+	});
+});
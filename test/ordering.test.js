@@ -0,0 +1,110 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setSocketRef, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Open a raw client that records what it receives
+ */
+async function rawClient(port) {
+	const socket = new WebSocket(`ws://localhost:${port}`);
+	socket.received = [];
+	socket.onmessage = (event) => socket.received.push(JSON.parse(event.data));
+	await new Promise(resolve => socket.onopen = resolve);
+
+	// say which protocol we speak, so the server acks our writes
+	socket.send(JSON.stringify({ type: 'hello', protocol: 2, features: ['patches', 'acks'] }));
+	await wait(20);
+	return socket;
+}
+
+describe('Version ordering', () => {
+	let server;
+	let raw;
+	const PORT = 3008;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, ordering: 'version' });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+		raw = await rawClient(PORT);
+	});
+
+	afterAll(() => {
+		raw.close();
+		server.close();
+		return wait(100);
+	});
+
+	it('should not let a client with a fast clock win every conflict', async () => {
+		const tab = await socketRefAsync('tab', 'home');
+
+		// a client whose clock is a day ahead writes first...
+		raw.send(JSON.stringify({ type: 'update', key: 'tab', value: 'settings', baseVersion: 1, timestamp: Date.now() + 86400000 }));
+		await wait(100);
+		expect(tab.value).toBe('settings');
+
+		// ...and our normal clock can still write after it
+		tab.value = 'profile';
+		await wait(100);
+		expect(server.get('tab')).toBe('profile');
+	});
+
+	it('should reject writes based on an old version', async () => {
+		raw.received.length = 0;
+		raw.send(JSON.stringify({ type: 'update', key: 'tab', value: 'stale', baseVersion: 1 }));
+		await wait(100);
+
+		expect(raw.received).toEqual([{ type: 'reject', op: 'update', key: 'tab', reason: 'stale', value: 'profile', timestamp: expect.any(Number), version: 3 }]);
+		expect(server.get('tab')).toBe('profile');
+	});
+
+	it('should rebase patches based on an old version', async () => {
+		const form = await socketRefAsync('form', { name: 'a', email: 'a@example.com' });
+		form.value.name = 'b';
+		await wait(100);
+
+		// patch the other field from the version before our change
+		raw.received.length = 0;
+		raw.send(JSON.stringify({ type: 'patch', key: 'form', ops: [{ op: 'replace', path: '/email', value: 'b@example.com' }], baseVersion: 1 }));
+		await wait(100);
+
+		const ack = raw.received.find(msg => msg.type === 'ack');
+		expect(ack.value).toEqual({ name: 'b', email: 'b@example.com' });
+		expect(form.value).toEqual({ name: 'b', email: 'b@example.com' });
+	});
+
+	it('should not let a write pipelined after a stale one overwrite someone else', async () => {
+		const mine = await socketRefAsync({ key: 'race', rateLimit: false }, 'start');
+		const theirs = await socketRefAsync({ key: 'race', ip: '127.0.0.1', rateLimit: false }, null);
+		await wait(50);
+
+		// we write twice the moment their write is accepted, before we've heard about it
+		let writes = [];
+		const onChange = (key, value) => {
+			if (key !== 'race' || value !== 'theirs')
+				return;
+			server.off('change', onChange);
+			writes = [setSocketRef(mine, 'first'), setSocketRef(mine, 'second')];
+		};
+		server.on('change', onChange);
+		await setSocketRef(theirs, 'theirs');
+		await wait(100);
+
+		const results = await Promise.allSettled(writes);
+		expect(results.map(result => result.reason?.reason)).toEqual(['stale', 'stale']);
+		expect(server.get('race')).toBe('theirs');
+		expect(mine.value).toBe('theirs');
+
+		// and once we're caught up, our writes go through
+		await setSocketRef(mine, 'mine');
+		expect(server.get('race')).toBe('mine');
+		await wait(50);
+		expect(theirs.value).toBe('mine');
+	});
+});
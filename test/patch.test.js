@@ -0,0 +1,107 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { diffValues, applyPatch } from '../jsonPatch.js';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('diffValues / applyPatch', () => {
+
+	it('should round-trip nested changes', () => {
+		const before = { a: 1, list: [1, 2, 3], nested: { 'x/y': true, gone: 1 } };
+		const after = { a: 2, list: [1, 5], nested: { 'x/y': false }, added: { z: [] } };
+
+		const ops = diffValues(before, after);
+		expect(ops).toContainEqual({ op: 'replace', path: '/nested/x~1y', value: false });
+		expect(applyPatch(structuredClone(before), ops)).toEqual(after);
+	});
+
+	it('should replace the root when the types differ', () => {
+		expect(diffValues({ a: 1 }, [1])).toEqual([{ op: 'replace', path: '', value: [1] }]);
+		expect(diffValues(3, 3)).toEqual([]);
+	});
+
+	it('should throw on paths that do not exist', () => {
+		expect(() => applyPatch({}, [{ op: 'replace', path: '/a/b', value: 1 }])).toThrow();
+	});
+
+	it('should throw on paths into prototypes', () => {
+		expect(() => applyPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: 1 }])).toThrow();
+		expect(() => applyPatch({}, [{ op: 'add', path: '/constructor/prototype/polluted', value: 1 }])).toThrow();
+		expect(() => applyPatch({ a: {} }, [{ op: 'add', path: '/a/toString/polluted', value: 1 }])).toThrow();
+		expect(({}).polluted).toBeUndefined();
+	});
+
+	it('should replace objects with keys patches can\'t reach', () => {
+		const ops = diffValues({ a: { constructor: 1 } }, { a: { constructor: 2 } });
+		expect(ops).toEqual([{ op: 'replace', path: '/a', value: { constructor: 2 } }]);
+	});
+});
+
+describe('Patch messages', () => {
+	let wss;
+	let observer;
+	const received = [];
+	const PORT = 3005;
+
+	beforeAll(async () => {
+		wss = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+
+		observer = new WebSocket(`ws://localhost:${PORT}`);
+		observer.onmessage = (event) => received.push(JSON.parse(event.data));
+		await new Promise(resolve => observer.onopen = resolve);
+
+		// say we take patches, otherwise the server sends us whole values
+		observer.send(JSON.stringify({ type: 'hello', protocol: 2, features: ['patches', 'acks'] }));
+	});
+
+	afterAll(() => {
+		observer.close();
+		wss.close();
+		return wait(100);
+	});
+
+	it('should send only the changed field of a large object', async () => {
+		const big = { rows: Array.from({ length: 500 }, (_, i) => ({ id: i, label: `row ${i}` })), title: 'old' };
+		const config = await socketRefAsync('config', big);
+
+		// the server only sends updates for keys we've init-ed
+		observer.send(JSON.stringify({ type: 'init', key: 'config' }));
+		await wait(50);
+
+		received.length = 0;
+		config.value.title = 'new';
+		await wait(100);
+
+		const patch = received.find(msg => msg.type === 'patch');
+		expect(patch.ops).toEqual([{ op: 'replace', path: '/title', value: 'new' }]);
+	});
+
+	it('should ask for the whole value when a patch is based on a stale value', async () => {
+		received.length = 0;
+		observer.send(JSON.stringify({ type: 'patch', key: 'config', ops: [], baseTimestamp: 1, timestamp: Date.now() + 1000 }));
+		await wait(100);
+
+		expect(received).toContainEqual({ type: 'resync', key: 'config' });
+	});
+
+	it('should not let a patch reach into prototypes', async () => {
+		const now = Date.now();
+		observer.send(JSON.stringify({ type: 'update', id: 1, key: 'profile', value: {}, timestamp: now }));
+		await wait(50);
+
+		received.length = 0;
+		observer.send(JSON.stringify({ type: 'patch', id: 2, key: 'profile', ops: [{ op: 'add', path: '/__proto__/isAdmin', value: true }], baseTimestamp: now, timestamp: now + 1 }));
+		await wait(100);
+
+		expect(({}).isAdmin).toBeUndefined();
+		expect(received).toContainEqual({ type: 'resync', id: 2, key: 'profile' });
+		expect(wss.get('profile')).toEqual({});
+	});
+});
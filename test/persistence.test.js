@@ -0,0 +1,111 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { socketRefServer, jsonFileStore, memoryStore } from '../socketRefServer.js';
+import { WebSocket } from 'ws';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Open a raw client, send some messages and collect the replies
+ */
+async function exchange(port, messages, ms = 100) {
+	const socket = new WebSocket(`ws://localhost:${port}`);
+	const received = [];
+	socket.onmessage = (event) => received.push(JSON.parse(event.data));
+	await new Promise(resolve => socket.onopen = resolve);
+	for (const msg of messages)
+		socket.send(JSON.stringify(msg));
+	await wait(ms);
+	socket.close();
+	return received;
+}
+
+describe('Persistence stores', () => {
+	const PORT = 3004;
+	let wss;
+	let dir;
+
+	afterEach(() => {
+		if (wss) wss.close();
+		if (dir) rmSync(dir, { recursive: true, force: true });
+		return wait(100);
+	});
+
+	it('should restore values from a JSON file after a restart', async () => {
+		dir = mkdtempSync(join(tmpdir(), 'socket-ref-'));
+		const filePath = join(dir, 'state.json');
+
+		wss = socketRefServer({ port: PORT, store: jsonFileStore(filePath) });
+		await wait(50);
+		await exchange(PORT, [{ type: 'update', key: 'volume', value: 11, timestamp: 5 }]);
+		wss.close();
+		await wait(100);
+
+		expect(JSON.parse(readFileSync(filePath, 'utf8'))).toEqual({ volume: { value: 11, timestamp: 5, version: 1 } });
+
+		wss = socketRefServer({ port: PORT, store: jsonFileStore(filePath) });
+		await wait(50);
+		const [reply] = await exchange(PORT, [{ type: 'init', key: 'volume' }]);
+		expect(reply).toEqual({ type: 'init', key: 'volume', value: 11, timestamp: 5 });
+	});
+
+	it('should load entries from a custom store', async () => {
+		wss = socketRefServer({ port: PORT, store: memoryStore({ mode: { value: 'night', timestamp: 1 } }) });
+		await wait(50);
+		const [reply] = await exchange(PORT, [{ type: 'init', key: 'mode' }]);
+		expect(reply.value).toBe('night');
+	});
+
+	it('should keep writes made while the store is loading', async () => {
+		const store = memoryStore({ mode: { value: 'old', timestamp: 1 }, theme: { value: 'dark', timestamp: 1 }, gone: { value: 1, timestamp: 1 } });
+		wss = socketRefServer({ port: PORT, store });
+		wss.set('mode', 'new');
+		wss.delete('gone');
+		await wss.ready;
+		await wait(10);
+
+		expect(wss.get('mode')).toBe('new');
+		expect(wss.get('theme')).toBe('dark');
+		expect(wss.get('gone')).toBeUndefined();
+		const stored = store.load();
+		expect(stored.get('mode').value).toBe('new');
+		expect(stored.has('gone')).toBe(false);
+	});
+
+	it('should not lose a JSON file\'s entries to writes made while it loads', async () => {
+		dir = mkdtempSync(join(tmpdir(), 'socket-ref-'));
+		const filePath = join(dir, 'state.json');
+		writeFileSync(filePath, JSON.stringify({ mode: { value: 'old', timestamp: 1 }, theme: { value: 'dark', timestamp: 1 } }));
+
+		wss = socketRefServer({ port: PORT, store: jsonFileStore(filePath) });
+		wss.set('mode', 'new');
+		await wss.ready;
+		await wait(50);
+
+		expect(wss.get('mode')).toBe('new');
+		const saved = JSON.parse(readFileSync(filePath, 'utf8'));
+		expect(saved.mode.value).toBe('new');
+		expect(saved.theme.value).toBe('dark');
+	});
+
+	it('should save & load keys that are also object property names', async () => {
+		dir = mkdtempSync(join(tmpdir(), 'socket-ref-'));
+		const filePath = join(dir, 'state.json');
+
+		const store = jsonFileStore(filePath);
+		await store.load();
+		await store.save('__proto__', { value: 1, timestamp: 1, version: 1 });
+		await store.save('constructor', { value: 2, timestamp: 1, version: 1 });
+
+		const saved = JSON.parse(readFileSync(filePath, 'utf8'));
+		expect(Object.keys(saved)).toEqual(['__proto__', 'constructor']);
+
+		const loaded = await jsonFileStore(filePath).load();
+		expect(Object.entries(loaded)).toEqual([
+			['__proto__', { value: 1, timestamp: 1, version: 1 }],
+			['constructor', { value: 2, timestamp: 1, version: 1 }],
+		]);
+	});
+});
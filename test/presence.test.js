@@ -0,0 +1,73 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { effectScope } from 'vue';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, useSocketPresence, setSocketPresence } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Presence', () => {
+	let server;
+	const PORT = 3018;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should list who is here and which keys they watch', async () => {
+		const doc = socketRef({ key: 'doc', port: PORT, room: 'design', presence: { name: 'Ada', color: 'red' } }, '');
+		const scope = effectScope();
+		const everyone = scope.run(() => useSocketPresence({ port: PORT, room: 'design' }));
+		const onDoc = scope.run(() => useSocketPresence({ key: 'doc', port: PORT, room: 'design' }));
+
+		// someone else, on their own connection
+		const socket = new WebSocket(`ws://localhost:${PORT}/design`);
+		await new Promise(resolve => socket.onopen = resolve);
+		socket.send(JSON.stringify({ type: 'presence', state: { name: 'Grace' } }));
+		await wait(100);
+
+		expect(everyone.value).toHaveLength(2);
+		const me = everyone.value.find(member => member.self);
+		expect(me).toMatchObject({ presence: { name: 'Ada', color: 'red' }, keys: ['doc'] });
+		expect(onDoc.value.map(member => member.presence.name)).toEqual(['Ada']);
+		expect(server.room('design').presence().map(member => member.presence.name).sort()).toEqual(['Ada', 'Grace']);
+
+		// changing our presence
+		setSocketPresence({ color: 'blue' }, { port: PORT, room: 'design' });
+		await wait(50);
+		expect(everyone.value.find(member => member.self).presence).toEqual({ name: 'Ada', color: 'blue' });
+
+		// and they're removed when they leave
+		socket.close();
+		await wait(100);
+		expect(everyone.value.map(member => member.presence.name)).toEqual(['Ada']);
+
+		scope.stop();
+		expect(doc.value).toBe('');
+	});
+
+	it('should hold presence until something opens the connection', async () => {
+		const before = server.wss.clients.size;
+		setSocketPresence({ name: 'Linus' }, { port: PORT, room: 'lobby' });
+		await wait(100);
+		expect(server.wss.clients.size).toBe(before);
+
+		const scope = effectScope();
+		scope.run(() => useSocketPresence({ port: PORT, room: 'lobby' }));
+		await wait(100);
+		expect(server.room('lobby').presence().map(member => member.presence)).toEqual([{ name: 'Linus' }]);
+
+		scope.stop();
+		await wait(100);
+		expect(server.wss.clients.size).toBe(before);
+	});
+});
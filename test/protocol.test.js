@@ -0,0 +1,119 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { WebSocketServer, WebSocket } from 'ws';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, socketRefAsync, setSocketRef, getSocketRefStatus, disposeSocketRef, setGlobalSocketRefPort } from '../index.js';
+import { PROTOCOL_VERSION, negotiate } from '../protocol.js';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Open a raw client that records what it receives
+ */
+async function rawClient(port) {
+	const socket = new WebSocket(`ws://localhost:${port}`);
+	socket.received = [];
+	socket.onmessage = (event) => socket.received.push(JSON.parse(event.data));
+	await new Promise(resolve => socket.onopen = resolve);
+	return socket;
+}
+
+describe('Protocol negotiation', () => {
+	let server;
+	const PORT = 3025;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should agree on the newest version & shared features', () => {
+		expect(negotiate({ protocol: PROTOCOL_VERSION + 3, minProtocol: 1, features: ['acks', 'teleport'] }))
+			.toEqual({ protocol: PROTOCOL_VERSION, features: new Set(['acks']) });
+		expect(negotiate({ protocol: PROTOCOL_VERSION + 5, minProtocol: PROTOCOL_VERSION + 1 }).error).toMatch(/Incompatible/);
+		expect(negotiate({ protocol: 'soon' }).error).toMatch(/Incompatible/);
+	});
+
+	it('should answer a hello with its version & features', async () => {
+		const raw = await rawClient(PORT);
+		raw.send(JSON.stringify({ type: 'hello', protocol: PROTOCOL_VERSION, features: ['acks'] }));
+		await wait(50);
+
+		expect(raw.received[0]).toMatchObject({ type: 'hello', protocol: PROTOCOL_VERSION, codec: 'json' });
+		expect(raw.received[0].features).toContain('patches');
+		raw.close();
+	});
+
+	it('should refuse clients it can\'t talk to, and say why', async () => {
+		const raw = await rawClient(PORT);
+		const closed = new Promise(resolve => raw.onclose = (event) => resolve(event.code));
+		raw.send(JSON.stringify({ type: 'hello', protocol: 99, minProtocol: 50 }));
+
+		expect(await closed).toBe(4426);
+		expect(raw.received[0]).toMatchObject({ type: 'error', reason: 'incompatible' });
+		expect(raw.received[0].message).toMatch(/Upgrade/);
+	});
+
+	it('should send clients from before the hello whole values, with a type', async () => {
+		const doc = await socketRefAsync('doc', { title: 'a', body: 'b' });
+		const legacy = await rawClient(PORT);
+		legacy.send(JSON.stringify({ type: 'init', key: 'doc' }));
+		await wait(50);
+
+		legacy.received.length = 0;
+		doc.value.title = 'changed';
+		await wait(100);
+
+		expect(legacy.received).toEqual([{ type: 'update', key: 'doc', value: { title: 'changed', body: 'b' }, timestamp: expect.any(Number) }]);
+		legacy.close();
+	});
+
+	it('should fall back to whole values & no acks with a server from before the hello', async () => {
+		// an old server: answers init, takes updates, and nothing else
+		const old = new WebSocketServer({ port: PORT + 100 });
+		const updates = [];
+		old.on('connection', (socket) => socket.on('message', (data) => {
+			const msg = JSON.parse(data);
+			if (msg.type === 'init')
+				socket.send(JSON.stringify({ type: 'init', key: msg.key, value: { n: 1, m: 1 }, timestamp: 1 }));
+			else if (msg.type === 'update')
+				updates.push(msg);
+		}));
+		await wait(50);
+
+		const ref = await socketRefAsync({ key: 'thing', port: PORT + 100 }, null);
+		// (it resolves as soon as it's sent, since the server won't ack it)
+		await setSocketRef(ref, { n: 2, m: 1 });
+		await wait(50);
+		expect(updates).toHaveLength(1);
+		expect(updates[0].value).toEqual({ n: 2, m: 1 });
+
+		disposeSocketRef(ref);
+		old.close();
+		await wait(50);
+	});
+
+	it('should go into the error state when the server is too new', async () => {
+		const future = new WebSocketServer({ port: PORT + 101 });
+		future.on('connection', (socket) => socket.send(JSON.stringify({ type: 'hello', protocol: 99, minProtocol: 50, features: [] })));
+		await wait(50);
+
+		const ref = socketRef({ key: 'x', port: PORT + 101 }, 0);
+		await wait(100);
+
+		const status = getSocketRefStatus(ref);
+		expect(status.status).toBe('error');
+		expect(status.lastError.reason).toBe('incompatible');
+
+		disposeSocketRef(ref);
+		future.close();
+	});
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setSocketRef, setGlobalSocketRefPort, onSocketRefRateLimit } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Rate limiting', () => {
+	let server;
+	const PORT = 3022;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, rateLimit: { max: 20, interval: 1000, pause: 200 } });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should throttle writes and always send the latest value', async () => {
+		server.set('slider', 0);
+		const slider = await socketRefAsync({ key: 'slider', rateLimit: { strategy: 'throttle', interval: 50 } }, 0);
+		await wait(20);
+		const changes = [];
+		server.on('change', (key, value) => { if (key === 'slider') changes.push(value); });
+
+		const limited = [];
+		const stop = onSocketRefRateLimit((info) => limited.push(info));
+
+		// the first write goes right away, the rest are merged into one trailing write
+		const writes = [];
+		for (let i = 1; i <= 10; i++)
+			writes.push(setSocketRef(slider, i));
+		await Promise.all(writes);
+		stop();
+
+		expect(changes).toEqual([1, 10]);
+		expect(server.get('slider')).toBe(10);
+		expect(limited).toEqual([{ key: 'slider', strategy: 'throttle', action: 'coalesced' }]);
+	});
+
+	it('should debounce writes until they stop', async () => {
+		const search = await socketRefAsync({ key: 'search', rateLimit: { strategy: 'debounce', interval: 50 } }, '');
+		const changes = [];
+		server.on('change', (key, value) => { if (key === 'search') changes.push(value); });
+
+		for (const text of ['h', 'he', 'hel', 'hello']) {
+			search.value = text;
+			await wait(10);
+		}
+		expect(changes).toEqual([]);
+
+		await wait(100);
+		expect(changes).toEqual(['hello']);
+	});
+
+	it('should coalesce writes to one per frame', async () => {
+		const cursor = await socketRefAsync({ key: 'cursor', rateLimit: 'frame' }, { x: 0, y: 0 });
+		const changes = [];
+		server.on('change', (key, value) => { if (key === 'cursor') changes.push(value); });
+
+		cursor.value.x = 5;
+		cursor.value.y = 7;
+		await setSocketRef(cursor, { x: 9, y: 7 });
+
+		expect(changes).toEqual([{ x: 9, y: 7 }]);
+	});
+
+	it('should drop writes over a hard limit', async () => {
+		server.set('counter', 0);
+		const limited = [];
+		const counter = await socketRefAsync({
+			key: 'counter',
+			rateLimit: { strategy: 'limit', max: 3, interval: 1000, pause: 1000 },
+			onRateLimit: (info) => limited.push(info),
+		}, 0);
+		await wait(20);
+
+		const results = await Promise.allSettled([1, 2, 3, 4, 5].map((n) => setSocketRef(counter, n)));
+		expect(results.map((result) => result.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'rejected']);
+		expect(results[3].reason.reason).toBe('rate-limited');
+		expect(limited).toEqual([{ key: 'counter', strategy: 'limit', action: 'dropped' }]);
+		expect(server.get('counter')).toBe(3);
+	});
+
+	it('should reject writes over the server\'s per-connection limit', async () => {
+		await wait(300);
+		const serverLimited = [];
+		server.on('rateLimit', (info) => serverLimited.push(info));
+
+		const spam = await socketRefAsync({ key: 'spam', rateLimit: false }, 0);
+		const results = await Promise.allSettled(Array.from({ length: 30 }, (_, i) => setSocketRef(spam, i + 1)));
+
+		const rejected = results.filter((result) => result.status === 'rejected');
+		expect(rejected.length).toBeGreaterThan(0);
+		expect(rejected.every((result) => result.reason.reason === 'rate-limited')).toBe(true);
+		expect(serverLimited).toHaveLength(1);
+		expect(serverLimited[0].type).toBe('update');
+	});
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, reconnectSocketRefs } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Reconnect policy', () => {
+	let server;
+	const PORT = 3010;
+
+	afterAll(() => {
+		if (server) server.close();
+		return wait(100);
+	});
+
+	it('should give up after maxAttempts and reconnect on demand', async () => {
+		const gaveUp = [];
+		const greeting = socketRef({
+			key: 'greeting',
+			port: PORT,
+			reconnect: { initialDelay: 10, jitter: 0, maxAttempts: 2, onGiveUp: (url) => gaveUp.push(url) },
+		}, 'hello');
+
+		// nothing is listening yet, so it fails the first connect & both retries
+		await wait(300);
+		expect(gaveUp).toEqual([`ws://localhost:${PORT}`]);
+
+		server = socketRefServer({ port: PORT });
+		await wait(100);
+		expect(server.get('greeting')).toBe(undefined);
+
+		reconnectSocketRefs();
+		await wait(100);
+		expect(server.get('greeting')).toBe('hello');
+		expect(greeting.value).toBe('hello');
+	});
+});
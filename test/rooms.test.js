@@ -0,0 +1,68 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer, memoryStore } from '../socketRefServer.js';
+import { socketRef } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Rooms', () => {
+	let server;
+	const PORT = 3013;
+	const stores = {};
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, store: (room) => stores[room] = memoryStore() });
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should keep each room\'s keys separate', async () => {
+		const tabA1 = socketRef({ key: 'selectedTab', port: PORT, room: 'team-a' }, 'home');
+		const tabA2 = socketRef({ key: 'selectedTab', port: PORT, room: 'team-a' }, 'home');
+		const tabB = socketRef({ key: 'selectedTab', port: PORT, room: 'team-b' }, 'home');
+		const changes = [];
+		server.on('change', (key, value, meta) => changes.push([meta.room, key, value]));
+		await wait(100);
+
+		tabA1.value = 'settings';
+		await wait(100);
+
+		expect(tabA2.value).toBe('settings');
+		expect(tabB.value).toBe('home');
+		expect(server.room('team-a').get('selectedTab')).toBe('settings');
+		expect(server.room('team-b').get('selectedTab')).toBe('home');
+		expect(server.get('selectedTab')).toBe(undefined);
+		expect(changes).toContainEqual(['team-a', 'selectedTab', 'settings']);
+
+		server.room('team-b').set('selectedTab', 'profile');
+		await wait(100);
+		expect(tabB.value).toBe('profile');
+		expect(tabA1.value).toBe('settings');
+		expect((await stores['team-b'].load()).get('selectedTab').value).toBe('profile');
+		expect(stores['team-a']).toBeDefined();
+	});
+
+	it('should list rooms & members, and only dispose empty rooms', async () => {
+		expect(server.rooms()).toEqual(expect.arrayContaining(['', 'team-a', 'team-b']));
+		expect(server.room('team-a').members()).toHaveLength(1);
+		expect(server.disposeRoom('team-a')).toBe(false);
+
+		const socket = new WebSocket(`ws://localhost:${PORT}/scratch`);
+		await new Promise(resolve => socket.onopen = resolve);
+		await wait(50);
+		expect(server.room('scratch').members()).toHaveLength(1);
+
+		socket.close();
+		await wait(50);
+		expect(server.room('scratch').members()).toHaveLength(0);
+		expect(server.disposeRoom('scratch')).toBe(true);
+		expect(server.rooms()).not.toContain('scratch');
+	});
+});
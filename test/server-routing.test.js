@@ -0,0 +1,159 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import http from 'http';
+import net from 'net';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setSocketRef, disposeSocketRef } from '../index.js';
+import { WebSocket, WebSocketServer } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+// open a plain socket & see if it connects
+function tryConnect(url) {
+	return new Promise((resolve) => {
+		const socket = new WebSocket(url);
+		socket.on('open', () => { socket.close(); resolve(true); });
+		socket.on('error', () => resolve(false));
+	});
+}
+
+// send an upgrade request for a url that doesn't parse, and give back whatever comes back
+function sendMalformedUpgrade(port) {
+	return new Promise((resolve) => {
+		const socket = net.connect(port, 'localhost', () => {
+			socket.write('GET //[ HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+				+ 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+		});
+		let reply = '';
+		socket.on('data', (data) => reply += data);
+		socket.on('error', () => {});
+		socket.on('close', () => resolve(reply));
+		setTimeout(() => socket.destroy(), 100);
+	});
+}
+
+describe('Sharing an http server', () => {
+	let httpServer, other, server;
+	const otherSeen = [];
+	const sockets = new Set();
+	const PORT = 3027;
+
+	beforeAll(async () => {
+		httpServer = http.createServer((req, res) => res.end('app'));
+
+		// (upgrades nobody takes are left open, so we close them ourselves at the end)
+		httpServer.on('connection', (socket) => sockets.add(socket));
+
+		// something else using websockets on the same port, like vite's hmr
+		other = new WebSocketServer({ noServer: true });
+		other.on('connection', (socket, request) => otherSeen.push(request.url));
+		httpServer.on('upgrade', (request, socket, head) => {
+			if (request.url === '/hmr')
+				other.handleUpgrade(request, socket, head, (ws) => other.emit('connection', ws, request));
+		});
+
+		server = socketRefServer({ server: httpServer, path: '/sync' });
+		await new Promise((resolve) => httpServer.listen(PORT, resolve));
+	});
+
+	afterAll(async () => {
+		server.close();
+		other.close();
+		for (const socket of sockets)
+			socket.destroy();
+		await new Promise((resolve) => httpServer.close(resolve));
+	});
+
+	it('should only take upgrades on its path, with rooms after it', async () => {
+		const ref = await socketRefAsync({ key: 'shared', url: `ws://localhost:${PORT}/sync`, room: 'team-a' }, 1);
+		await setSocketRef(ref, 2);
+
+		expect(server.room('team-a').get('shared')).toBe(2);
+		expect(server.get('shared')).toBeUndefined();
+
+		// the other endpoint still gets its connections
+		expect(await tryConnect(`ws://localhost:${PORT}/hmr`)).toBe(true);
+		expect(otherSeen).toEqual(['/hmr']);
+
+		disposeSocketRef(ref);
+	});
+
+	it('should survive upgrade requests with urls that don\'t parse', async () => {
+		await sendMalformedUpgrade(PORT);
+		expect(await tryConnect(`ws://localhost:${PORT}/sync`)).toBe(true);
+	});
+});
+
+describe('Own port with a path', () => {
+	let server;
+	const PORT = 3227;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT, path: '/sync' });
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should refuse upgrade requests with urls that don\'t parse, and keep going', async () => {
+		expect(await sendMalformedUpgrade(PORT)).toMatch(/^HTTP\/1\.1 400/);
+		expect(await tryConnect(`ws://localhost:${PORT}/sync/room`)).toBe(true);
+		expect(await tryConnect(`ws://localhost:${PORT}/other`)).toBe(false);
+	});
+});
+
+describe('noServer mode & middleware', () => {
+	let httpServer, server;
+	const PORT = 3127;
+
+	beforeAll(async () => {
+		server = socketRefServer({ noServer: true, path: '/sync' });
+		const middleware = server.middleware();
+
+		httpServer = http.createServer((req, res) => {
+			if (middleware(req, res))
+				return;
+			res.end('app');
+		});
+		httpServer.on('upgrade', (request, socket, head) => {
+			if (!server.handleUpgrade(request, socket, head))
+				socket.destroy();
+		});
+		await new Promise((resolve) => httpServer.listen(PORT, resolve));
+	});
+
+	afterAll(async () => {
+		server.close();
+		httpServer.closeAllConnections();
+		await new Promise((resolve) => httpServer.close(resolve));
+	});
+
+	it('should take upgrades passed to handleUpgrade on its path', async () => {
+		const ref = await socketRefAsync({ key: 'manual', url: `ws://localhost:${PORT}/sync` }, 1);
+		await setSocketRef(ref, 5);
+
+		expect(server.get('manual')).toBe(5);
+		expect(await tryConnect(`ws://localhost:${PORT}/elsewhere`)).toBe(false);
+
+		disposeSocketRef(ref);
+	});
+
+	it('should answer plain requests on its path and pass the rest on', async () => {
+		const ours = await fetch(`http://localhost:${PORT}/sync/team-a`);
+		expect(ours.status).toBe(426);
+		await ours.text();
+
+		const theirs = await fetch(`http://localhost:${PORT}/synced`);
+		expect(await theirs.text()).toBe('app');
+
+		// express style, with next
+		let nexted = false;
+		server.middleware()({ url: '/api/things' }, null, () => { nexted = true; });
+		expect(nexted).toBe(true);
+	});
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRef, getSocketRefStatus, useSocketRefStatus } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Connection status', () => {
+	let server;
+	const PORT = 3011;
+
+	afterAll(() => {
+		if (server) server.close();
+		return wait(100);
+	});
+
+	it('should report status per ref and for all refs', async () => {
+		server = socketRefServer({ port: PORT });
+		await wait(100);
+
+		const options = { port: PORT, reconnect: { initialDelay: 20, jitter: 0 } };
+		const volume = socketRef({ key: 'volume', ...options }, 5);
+		const muted = socketRef({ key: 'muted', ...options }, false);
+		const status = getSocketRefStatus(volume);
+		const all = useSocketRefStatus();
+
+		expect(status.status).toBe('connecting');
+		expect(all.synced).toBe(false);
+
+		await wait(100);
+		expect(status.status).toBe('synced');
+		expect(status.lastSyncAt).toBeTypeOf('number');
+		expect(all).toMatchObject({ status: 'synced', synced: true, refCount: 2, syncedCount: 2 });
+
+		// drop the server, and both refs are out of sync
+		for (const client of server.wss.clients)
+			client.terminate();
+		server.close();
+		await wait(50);
+		expect(status.status).toBe('reconnecting');
+		expect(getSocketRefStatus(muted).status).toBe('reconnecting');
+		expect(all.status).toBe('reconnecting');
+
+		// and they're synced again once it's back
+		server = socketRefServer({ port: PORT });
+		await wait(200);
+		expect(all.status).toBe('synced');
+	});
+});
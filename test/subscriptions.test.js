@@ -0,0 +1,50 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { WebSocket } from 'ws';
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Key subscriptions', () => {
+	let server;
+	let socket;
+	const received = [];
+	const PORT = 3014;
+
+	beforeAll(async () => {
+		server = socketRefServer({ port: PORT });
+		await wait(100);
+
+		socket = new WebSocket(`ws://localhost:${PORT}`);
+		socket.onmessage = (event) => received.push(JSON.parse(event.data));
+		await new Promise(resolve => socket.onopen = resolve);
+	});
+
+	afterAll(() => {
+		socket.close();
+		server.close();
+		return wait(100);
+	});
+
+	it('should only send updates for keys the client has init-ed', async () => {
+		socket.send(JSON.stringify({ type: 'init', key: 'watched' }));
+		await wait(50);
+		received.length = 0;
+
+		server.set('watched', 1);
+		server.set('ignored', 2);
+		await wait(50);
+
+		expect(received.map(msg => msg.key)).toEqual(['watched']);
+	});
+
+	it('should stop sending updates after an unsubscribe', async () => {
+		socket.send(JSON.stringify({ type: 'unsubscribe', key: 'watched' }));
+		await wait(50);
+		received.length = 0;
+
+		server.set('watched', 3);
+		await wait(50);
+
+		expect(received).toEqual([]);
+	});
+});
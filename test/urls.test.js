@@ -0,0 +1,81 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, disposeSocketRef, setGlobalSocketRefPort, setGlobalSocketRefUrl } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Connection URLs', () => {
+	let server;
+	const seen = [];
+	const PORT = 3026;
+
+	beforeAll(async () => {
+		// every connection lands in the default room, we just want to see where it connected
+		server = socketRefServer({ port: PORT, room: (request) => { seen.push(request.headers.host + request.url); return ''; } });
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		setGlobalSocketRefUrl(null);
+		server.close();
+		return wait(100);
+	});
+
+	it('should connect to a full url, with its path & query', async () => {
+		seen.length = 0;
+		const ref = await socketRefAsync({ key: 'a', url: `http://127.0.0.1:${PORT}/sync?token=abc`, room: 'team a' }, 1);
+
+		expect(seen).toEqual([`127.0.0.1:${PORT}/sync/team%20a?token=abc`]);
+		disposeSocketRef(ref);
+	});
+
+	it('should change parts of the global url', async () => {
+		setGlobalSocketRefUrl(`ws://localhost:${PORT}/base`);
+
+		seen.length = 0;
+		const ref = await socketRefAsync({ key: 'b', host: `127.0.0.1:${PORT}`, path: '/other/' }, 1);
+		expect(seen).toEqual([`127.0.0.1:${PORT}/other`]);
+		disposeSocketRef(ref);
+
+		seen.length = 0;
+		const global = await socketRefAsync('c', 1);
+		expect(seen).toEqual([`localhost:${PORT}/base`]);
+		disposeSocketRef(global);
+
+		setGlobalSocketRefUrl(null);
+	});
+
+	it('should default to the page\'s host in a browser', async () => {
+		global.location = { protocol: 'http:', hostname: '127.0.0.1' };
+
+		seen.length = 0;
+		const ref = await socketRefAsync({ key: 'd', room: 'lobby' }, 1);
+		expect(seen).toEqual([`127.0.0.1:${PORT}/lobby`]);
+
+		disposeSocketRef(ref);
+		delete global.location;
+	});
+
+	it('should connect to relative urls on the page\'s host', async () => {
+		global.location = { protocol: 'http:', hostname: '127.0.0.1', href: `http://127.0.0.1:${PORT}/app/page` };
+
+		seen.length = 0;
+		const ref = await socketRefAsync({ key: 'e', url: '/sync', room: 'lobby' }, 1);
+		expect(seen).toEqual([`127.0.0.1:${PORT}/sync/lobby`]);
+		disposeSocketRef(ref);
+
+		setGlobalSocketRefUrl('/global');
+		seen.length = 0;
+		const fromGlobal = await socketRefAsync('f', 1);
+		expect(seen).toEqual([`127.0.0.1:${PORT}/global`]);
+		disposeSocketRef(fromGlobal);
+
+		setGlobalSocketRefUrl(null);
+		delete global.location;
+	});
+});
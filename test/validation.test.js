@@ -0,0 +1,99 @@
+import { describe, it, expect, afterAll, beforeAll } from 'vitest';
+import { socketRefServer } from '../socketRefServer.js';
+import { socketRefAsync, setSocketRef, setGlobalSocketRefPort } from '../index.js';
+import { WebSocket } from 'ws';
+
+// Polyfill WebSocket for Node environment
+global.WebSocket = WebSocket;
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Validation', () => {
+	let server;
+	const PORT = 3015;
+
+	beforeAll(async () => {
+		server = socketRefServer({
+			port: PORT,
+			validate: {
+				'sliders.*': { type: 'number', minimum: 0, maximum: 100 },
+				'sliders.clamped': { type: 'number', minimum: 0, maximum: 10, coerce: true },
+				'form': { type: 'object', properties: { name: { type: 'string', minLength: 1 } }, required: ['name'] },
+				'even': (value) => value % 2 === 0 || 'must be even',
+				'picky.null': (value) => value > 0 ? true : null,
+				'picky.zero': (value) => value > 0 ? true : 0,
+				'picky.object': () => ({}),
+			},
+		});
+		setGlobalSocketRefPort(PORT);
+		await wait(100);
+	});
+
+	afterAll(() => {
+		server.close();
+		return wait(100);
+	});
+
+	it('should reject invalid writes and put back the server value', async () => {
+		const volume = await socketRefAsync('sliders.volume', 50);
+		const other = await socketRefAsync('sliders.volume', 50);
+
+		await expect(setSocketRef(volume, 'loud')).rejects.toMatchObject({ reason: 'invalid' });
+		await wait(50);
+		expect(volume.value).toBe(50);
+		expect(other.value).toBe(50);
+		expect(server.get('sliders.volume')).toBe(50);
+
+		await setSocketRef(volume, 75);
+		expect(server.get('sliders.volume')).toBe(75);
+	});
+
+	it('should coerce values when the schema allows, and send back what was saved', async () => {
+		const clamped = await socketRefAsync('sliders.clamped', 5);
+		await setSocketRef(clamped, 50);
+		await wait(50);
+		expect(server.get('sliders.clamped')).toBe(10);
+		expect(clamped.value).toBe(10);
+	});
+
+	it('should check patched values and custom validators', async () => {
+		const form = await socketRefAsync('form', { name: 'Ada' });
+		form.value.name = '';
+		await wait(100);
+		expect(server.get('form')).toEqual({ name: 'Ada' });
+		expect(form.value).toEqual({ name: 'Ada' });
+
+		const even = await socketRefAsync('even', 2);
+		await expect(setSocketRef(even, 3)).rejects.toThrow('must be even');
+	});
+
+	it('should validate locally before writing', async () => {
+		const local = await socketRefAsync({ key: 'local', validate: { type: 'integer', coerce: true } }, 1);
+		await wait(50);
+
+		const changes = [];
+		server.on('change', (key, value) => changes.push(value));
+		await expect(setSocketRef(local, 'abc')).rejects.toMatchObject({ reason: 'invalid' });
+		expect(local.value).toBe(1);
+
+		await setSocketRef(local, '7');
+		expect(local.value).toBe(7);
+		expect(server.get('local')).toBe(7);
+		expect(changes).toEqual([7]);
+	});
+
+	it('should reject on other falsy validator results, and only coerce with a value', async () => {
+		const nulled = await socketRefAsync('picky.null', 1);
+		await expect(setSocketRef(nulled, -1)).rejects.toMatchObject({ reason: 'invalid' });
+		expect(server.get('picky.null')).toBe(1);
+
+		const zeroed = await socketRefAsync('picky.zero', 1);
+		await expect(setSocketRef(zeroed, -1)).rejects.toMatchObject({ reason: 'invalid' });
+		expect(server.get('picky.zero')).toBe(1);
+
+		// an object without a value is just a yes, not undefined
+		const object = await socketRefAsync('picky.object', 1);
+		await setSocketRef(object, 2);
+		expect(server.get('picky.object')).toBe(2);
+	});
+});